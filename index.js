@@ -3,8 +3,9 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { handleScanProject, handleCheckCompatibility, handleGetFixes, handleGenerateConfigs, handleManageConfig } from './src/enhanced-tools.js';
+import { handleScanProject, handleCheckCompatibility, handleGetMinVersions, handleGetFixes, handleGenerateConfigs, handleManageConfig } from './src/enhanced-tools.js';
 import { fileURLToPath } from 'url';
+import { isCliCommand, runCli } from './src/cli.js';
 
 const server = new McpServer({
   name: 'caniuse-mcp-server',
@@ -19,9 +20,16 @@ server.registerTool(
     description: "Analyze project files to detect CSS/JS features and check compatibility across browser targets",
     inputSchema: {
       projectPath: z.string().optional().default(".").describe("Path to the project directory to scan (default: current directory)"),
-      targets: z.array(z.string()).optional().default(["chrome-37"]).describe("Browser targets to check (e.g., 'chrome-37', 'firefox-esr', 'safari-12')"),
+      targets: z.array(z.string()).optional().describe("Browser targets or browserslist queries to check (e.g., 'chrome-37', 'firefox-esr', '> 0.5%, last 2 versions, not dead'). Defaults to the project's browserslist config, then the configured usage audience, then the configured baseline"),
       maxDepth: z.number().optional().default(5).describe("Maximum directory depth to scan"),
-      excludeDirs: z.array(z.string()).optional().default(["node_modules", ".git", "dist", "build"]).describe("Directories to exclude from scanning")
+      excludeDirs: z.array(z.string()).optional().default(["node_modules", ".git", "dist", "build"]).describe("Directories to exclude from scanning"),
+      usage: z.string().optional().describe("Weight scores by browser usage share: 'global', a caniuse region code (e.g., 'US', 'DE', 'alt-eu') or 'custom' for the configured stats file. Defaults to the config's usage settings; 'none' turns weighting off. Scores then report the % of users who can run every feature"),
+      format: z.enum(["json", "sarif"]).optional().default("json").describe("Output format: 'json' for the compatibility report, 'sarif' for a SARIF 2.1.0 log of unsupported features with file/line locations (for GitHub code scanning and other SARIF viewers)"),
+      baselineFile: z.string().optional().describe("Baseline file to compare against (default with updateBaseline: <projectPath>/.caniuse-baseline.json). The result then reports newly unsupported features, new occurrences, resolved issues and moved locations since the baseline"),
+      updateBaseline: z.boolean().optional().default(false).describe("Write this scan (features, locations and per-target status) as the baseline instead of comparing against it"),
+      changedSince: z.string().optional().describe("Only scan files changed since this git ref (e.g. 'origin/main'), measured from its merge base with HEAD and including uncommitted and untracked files; only features on added or modified lines are reported"),
+      staged: z.boolean().optional().default(false).describe("Only scan staged changes (the git index), for pre-commit hooks; only features on added or modified lines are reported"),
+      bundleDir: z.string().optional().describe("Scan the compiled bundles (JS and CSS) in this directory, relative to projectPath (e.g. 'dist'), instead of the sources. Findings are traced back to the original file and line through source maps, which also shows features that ship from node_modules untranspiled")
     }
   },
   async (args) => {
@@ -56,9 +64,10 @@ server.registerTool(
     title: "Compatibility Checker",
     description: "Check specific features or files against multiple browser targets with detailed analysis",
     inputSchema: {
-      features: z.array(z.string()).optional().describe("Specific caniuse feature names to check (e.g., 'flexbox', 'css-grid')"),
+      features: z.array(z.string()).optional().describe("Feature names to check: caniuse IDs (e.g., 'flexbox', 'css-grid') or MDN browser-compat-data keys (e.g., 'api.AbortSignal.timeout', 'css.properties.gap.flex_context')"),
       files: z.array(z.string()).optional().describe("Specific file paths to analyze for features"),
-      targets: z.array(z.string()).optional().default(["chrome-37"]).describe("Browser targets (chrome-37, firefox-esr, safari-12, ie-11, edge-legacy)")
+      targets: z.array(z.string()).optional().default(["chrome-37"]).describe("Browser targets (chrome-37, firefox-esr, safari-12, ie-11, edge-legacy) or browserslist queries (e.g., 'defaults')"),
+      usage: z.string().optional().describe("Weight scores by browser usage share: 'global', a caniuse region code (e.g., 'US', 'DE', 'alt-eu') or 'custom' for the configured stats file. Defaults to the config's usage settings; 'none' turns weighting off. Scores then report the % of users who can run every feature")
     }
   },
   async (args) => {
@@ -86,6 +95,46 @@ server.registerTool(
   }
 );
 
+// Register get_min_versions tool
+server.registerTool(
+  "get_min_versions",
+  {
+    title: "Minimum Version Finder",
+    description: "Find the lowest version of each browser that supports every given (or detected) feature, and which feature holds it back",
+    inputSchema: {
+      features: z.array(z.string()).optional().describe("Features to check; when omitted the project is scanned"),
+      projectPath: z.string().optional().default(".").describe("Project directory to scan when no features are given"),
+      browsers: z.array(z.string()).optional().default(["chrome", "edge", "firefox", "safari", "ios_saf"]).describe("caniuse browser IDs to report on"),
+      minimumSupport: z.enum(["full", "partial"]).optional().default("full").describe("Whether partial support is enough"),
+      maxDepth: z.number().optional().default(5).describe("Maximum directory depth to scan"),
+      excludeDirs: z.array(z.string()).optional().default(["node_modules", ".git", "dist", "build"]).describe("Directories to exclude from scanning")
+    }
+  },
+  async (args) => {
+    try {
+      const result = await handleGetMinVersions(args);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: true,
+            message: error.message,
+            suggestion: "Provide caniuse feature IDs, or a projectPath to scan."
+          }, null, 2)
+        }],
+        isError: true
+      };
+    }
+  }
+);
+
 // Register get_fixes tool
 server.registerTool(
   "get_fixes",
@@ -169,7 +218,7 @@ server.registerTool(
     title: "Config Manager",
     description: "Configure browser baselines, polyfills, and feature overrides for more accurate compatibility checking",
     inputSchema: {
-      action: z.enum(["view", "set_baseline", "add_polyfill", "remove_polyfill", "set_override", "add_target", "create_template", "reset"]).optional().default("view").describe("Configuration action to perform"),
+      action: z.enum(["view", "set_baseline", "add_polyfill", "remove_polyfill", "set_override", "add_target", "create_template", "validate", "reset", "cache_info", "cache_prune", "cache_clear"]).optional().default("view").describe("Configuration action to perform"),
       baseline: z.string().optional().describe("Set default baseline browser target (e.g., 'chrome-37', 'chrome-57')"),
       polyfill: z.string().optional().describe("Feature name to add/remove from polyfills list"),
       feature: z.string().optional().describe("Feature name for override setting"),
@@ -213,11 +262,19 @@ async function main() {
   console.error('\n📋 Available Tools:');
   console.error('  ✨ scan_project: Analyze project files to detect CSS/JS features and check compatibility across browser targets');
   console.error('  ✨ check_compatibility: Check specific features or files against multiple browser targets with detailed analysis');
+  console.error('  ✨ get_min_versions: Find the lowest version of each browser that supports every given (or detected) feature, and which feature holds it back');
   console.error('  ✨ get_fixes: Get actionable remediation steps, polyfills, and alternatives for unsupported features');
   console.error('  ✨ generate_configs: Generate complete build configurations, CI/CD setups, and workflow files for browser compatibility');
   console.error('  ✨ manage_config: Configure browser baselines, polyfills, and feature overrides for more accurate compatibility checking');
   console.error('\n💡 Quick Start: Use "scan_project" to analyze your entire project automatically!');
 }
 
-// Always start the MCP server when this module is executed
-main().catch(console.error);
\ No newline at end of file
+// "caniuse-mcp-server scan ..." etc. run the CLI; without a command this is the MCP server
+const args = process.argv.slice(2);
+if (isCliCommand(args[0])) {
+  runCli(args).then(code => {
+    process.exitCode = code;
+  });
+} else {
+  main().catch(console.error);
+}
\ No newline at end of file
@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+
+const SNAPSHOT_VERSION = 1;
+
+// Freezes the result of a project scan (features, where they are used and
+// whether each target supports them) so later scans can be judged only on
+// what changed: newly unsupported features, new occurrences of known ones,
+// resolved issues and code that merely moved.
+export class BaselineSnapshot {
+  create(checkResult, projectPath = '.') {
+    const features = {};
+    for (const feature of checkResult.features || []) {
+      features[feature] = {
+        targets: this._getTargetStatuses(feature, checkResult),
+        locations: this._getLocations(feature, checkResult.featureDetails, projectPath)
+      };
+    }
+
+    return {
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      targets: checkResult.targets || [],
+      features
+    };
+  }
+
+  async write(filePath, snapshot) {
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(snapshot, null, 2) + '\n');
+  }
+
+  async read(filePath) {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Baseline file ${filePath} not found. Create it first with updateBaseline (CLI: --update-baseline)`);
+      }
+      throw error;
+    }
+
+    const snapshot = JSON.parse(content);
+    if (snapshot.version !== SNAPSHOT_VERSION || !snapshot.features) {
+      throw new Error(`${filePath} is not a compatibility baseline (expected version ${SNAPSHOT_VERSION} with a "features" section)`);
+    }
+    return snapshot;
+  }
+
+  // Compares a fresh snapshot against the stored one. Only "introduced" and
+  // "newOccurrences" count as regressions.
+  compare(baseline, current) {
+    const introduced = [];
+    const newOccurrences = [];
+    const resolved = [];
+    const moved = [];
+    const fileOffsets = this._fileOffsets(baseline, current);
+
+    for (const [feature, now] of Object.entries(current.features)) {
+      const before = baseline.features[feature];
+      const failingNow = this._failingTargets(now);
+      if (failingNow.length === 0) continue;
+
+      const failingBefore = before ? this._failingTargets(before) : [];
+      const newTargets = failingNow.filter(target => !failingBefore.includes(target));
+      if (newTargets.length > 0) {
+        introduced.push({ feature, targets: newTargets, locations: now.locations });
+        continue;
+      }
+
+      const diff = this._diffLocations(before.locations, now.locations, fileOffsets);
+      if (diff.added.length > 0) {
+        newOccurrences.push({ feature, targets: failingNow, locations: diff.added });
+      }
+      if (diff.moved.length > 0) {
+        moved.push({ feature, locations: diff.moved });
+      }
+      if (diff.removed.length > 0) {
+        resolved.push({ feature, targets: failingNow, reason: 'occurrences-removed', locations: diff.removed });
+      }
+    }
+
+    for (const [feature, before] of Object.entries(baseline.features)) {
+      const failingBefore = this._failingTargets(before);
+      if (failingBefore.length === 0) continue;
+
+      const now = current.features[feature];
+      if (!now) {
+        resolved.push({ feature, targets: failingBefore, reason: 'no-longer-used', locations: before.locations });
+        continue;
+      }
+      const fixedTargets = failingBefore.filter(target => !this._failingTargets(now).includes(target));
+      if (fixedTargets.length > 0) {
+        resolved.push({ feature, targets: fixedTargets, reason: 'now-supported', locations: [] });
+      }
+    }
+
+    const regressions = introduced.length + newOccurrences.length;
+    return {
+      passed: regressions === 0,
+      baselineCreatedAt: baseline.createdAt,
+      ...(!this._sameTargets(baseline.targets, current.targets) && {
+        targetsChanged: { baseline: baseline.targets, current: current.targets }
+      }),
+      summary: {
+        introduced: introduced.length,
+        newOccurrences: newOccurrences.length,
+        resolved: resolved.length,
+        moved: moved.length
+      },
+      introduced,
+      newOccurrences,
+      resolved,
+      moved,
+      message: regressions === 0
+        ? `No new compatibility issues since the baseline (${resolved.length} resolved, ${moved.length} moved)`
+        : `${introduced.length} newly unsupported feature(s) and ${newOccurrences.length} feature(s) with new occurrences since the baseline`
+    };
+  }
+
+  _getTargetStatuses(feature, checkResult) {
+    const statuses = {};
+    for (const [target, result] of Object.entries(checkResult.compatibility || {})) {
+      if (result.error && !result.details) {
+        statuses[target] = 'unknown';
+      } else if ((result.unsupportedFeatures || []).includes(feature)) {
+        statuses[target] = 'unsupported';
+      } else if ((result.errorFeatures || []).includes(feature)) {
+        statuses[target] = 'unknown';
+      } else {
+        statuses[target] = 'supported';
+      }
+    }
+    return statuses;
+  }
+
+  // Paths are stored relative to the project so the baseline works from any checkout
+  _getLocations(feature, featureDetails, projectPath) {
+    const locations = [];
+    for (const occurrence of featureDetails?.get(feature) || []) {
+      const file = path.relative(path.resolve(projectPath), path.resolve(occurrence.file)).split(path.sep).join('/');
+      const matches = occurrence.matches.length > 0 ? occurrence.matches : [{}];
+      for (const match of matches) {
+        locations.push({
+          file,
+          line: match.line ?? null,
+          column: match.column ?? null,
+          ...(match.match && { match: match.match })
+        });
+      }
+    }
+    return locations;
+  }
+
+  _failingTargets(entry) {
+    return Object.entries(entry.targets || {})
+      .filter(([, status]) => status === 'unsupported')
+      .map(([target]) => target);
+  }
+
+  // Per file: the same code at the same position is unchanged. The rest is
+  // matched by code (snippet and column) shifted by a common line offset,
+  // preferring offsets most of the file moved by and, when occurrences were
+  // added, downward shifts (lines inserted above); then same-code leftovers
+  // pair up in order. Whatever is still unmatched was added or removed.
+  _diffLocations(before = [], now = [], fileOffsets = new Map()) {
+    const added = [];
+    const removed = [];
+    const moved = [];
+    const files = new Set([...before, ...now].map(location => location.file));
+    const samePosition = (a, b) => a.line === b.line && a.column === b.column && a.match === b.match;
+
+    for (const file of files) {
+      const oldLocations = before.filter(location => location.file === file);
+      const newLocations = now.filter(location => location.file === file);
+      let remainingOld = oldLocations.filter(old => !newLocations.some(current => samePosition(old, current)));
+      let remainingNew = newLocations.filter(current => !oldLocations.some(old => samePosition(old, current)));
+      const votes = fileOffsets.get(file) || new Map();
+      const growth = Math.sign(remainingNew.length - remainingOld.length);
+
+      const pair = (old, current) => {
+        moved.push({ file, from: { line: old.line, column: old.column }, to: current });
+        remainingOld = remainingOld.filter(location => location !== old);
+        remainingNew = remainingNew.filter(location => location !== current);
+      };
+
+      for (;;) {
+        const counts = this._countOffsets(remainingOld, remainingNew);
+        if (counts.size === 0) break;
+        const [offset] = [...counts].sort(([a, countA], [b, countB]) =>
+          countB - countA ||
+          (votes.get(b) || 0) - (votes.get(a) || 0) ||
+          Number(Math.sign(b) === growth) - Number(Math.sign(a) === growth) ||
+          Math.abs(a) - Math.abs(b)
+        )[0];
+        for (const old of [...remainingOld]) {
+          const current = remainingNew.find(candidate => candidate.line - old.line === offset && this._sameCode(old, candidate));
+          if (current) pair(old, current);
+        }
+      }
+
+      for (const old of [...remainingOld]) {
+        const current = remainingNew.find(candidate => candidate.match === old.match);
+        if (current) pair(old, current);
+      }
+      added.push(...remainingNew);
+      removed.push(...remainingOld);
+    }
+
+    return { added, removed, moved };
+  }
+
+  // Line offsets between occurrences of the same code: offset -> pairs
+  _countOffsets(before, now) {
+    const counts = new Map();
+    for (const old of before) {
+      for (const current of now) {
+        if (old.line === null || current.line === null || !this._sameCode(old, current)) continue;
+        const offset = current.line - old.line;
+        counts.set(offset, (counts.get(offset) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  // Inserting or deleting lines above code keeps its snippet and column
+  _sameCode(a, b) {
+    return a.match === b.match && (a.column === null || b.column === null || a.column === b.column);
+  }
+
+  // How far occurrences of every feature moved, per file: file -> offset -> pairs
+  _fileOffsets(baseline, current) {
+    const offsets = new Map();
+    for (const [feature, now] of Object.entries(current.features)) {
+      const before = baseline.features[feature];
+      if (!before) continue;
+      for (const file of new Set(now.locations.map(location => location.file))) {
+        const counts = this._countOffsets(
+          before.locations.filter(location => location.file === file),
+          now.locations.filter(location => location.file === file)
+        );
+        if (!offsets.has(file)) offsets.set(file, new Map());
+        for (const [offset, count] of counts) {
+          offsets.get(file).set(offset, (offsets.get(file).get(offset) || 0) + count);
+        }
+      }
+    }
+    return offsets;
+  }
+
+  _sameTargets(a = [], b = []) {
+    return a.length === b.length && a.every(target => b.includes(target));
+  }
+}
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import { compareVersions, matchVersionKey, resolveVersion } from './version-resolver.js';
+
+const require = createRequire(import.meta.url);
+
+// caniuse agent IDs -> browser-compat-data browser IDs
+const BROWSER_IDS = {
+  'chrome': 'chrome',
+  'firefox': 'firefox',
+  'safari': 'safari',
+  'edge': 'edge',
+  'ie': 'ie',
+  'opera': 'opera',
+  'ios_saf': 'safari_ios',
+  'and_chr': 'chrome_android',
+  'and_ff': 'firefox_android',
+  'samsung': 'samsunginternet_android',
+  'op_mob': 'opera_android',
+  'android': 'webview_android'
+};
+
+// Browsers browser-compat-data doesn't track, read as the engine release they
+// are built on (matched against caniuse's support tables). Opera Mini renders
+// pages on a server, so no engine stands in for it.
+const ENGINE_EQUIVALENTS = {
+  'and_uc': { browser: 'chrome_android', versions: { '15.5': '100' } },
+  'and_qq': { browser: 'chrome_android', versions: { '14.9': '77' } },
+  'kaios': { browser: 'firefox_android', versions: { '2.5': '48', '3.0-3.1': '84' } }
+};
+const NO_DATA_BROWSERS = new Set(['op_mini']);
+
+const BCD_ROOTS = new Set([
+  'api', 'css', 'html', 'http', 'javascript', 'manifests', 'mathml',
+  'mediatypes', 'svg', 'webassembly', 'webdriver', 'webextensions'
+]);
+
+// Dotted browser-compat-data keys such as "api.AbortSignal.timeout_static"
+export function isBcdKey(name) {
+  return typeof name === 'string' && name.includes('.') && BCD_ROOTS.has(name.split('.')[0]);
+}
+
+// Reads support statements from a local copy of MDN browser-compat-data and
+// reports them with caniuse support letters ("y", "a x", "n", ...) so both
+// datasets can be compared and summarized the same way.
+export class BcdClient {
+  constructor(options = {}) {
+    this.dataPath = options.path || null;
+    this.data = null;
+  }
+
+  async _load() {
+    if (this.data) return this.data;
+
+    if (this.dataPath) {
+      const content = await fs.promises.readFile(this.dataPath, 'utf8');
+      this.data = JSON.parse(content);
+    } else {
+      this.data = require('@mdn/browser-compat-data');
+    }
+
+    if (!this.data || !this.data.browsers) {
+      throw new Error(`${this.dataPath || '@mdn/browser-compat-data'} is not a browser-compat-data file (missing "browsers" section)`);
+    }
+    return this.data;
+  }
+
+  // Static members are keyed with a "_static" suffix, so "api.AbortSignal.timeout"
+  // also finds "api.AbortSignal.timeout_static"
+  async getCompat(key) {
+    const data = await this._load();
+
+    for (const candidate of [key, `${key}_static`]) {
+      const node = candidate.split('.').reduce((current, part) => current?.[part], data);
+      if (node?.__compat) {
+        return node.__compat;
+      }
+    }
+    return null;
+  }
+
+  async hasKey(key) {
+    return Boolean(await this.getCompat(key));
+  }
+
+  // False for browsers the dataset can't answer for at all
+  hasBrowser(browser) {
+    return !NO_DATA_BROWSERS.has(browser);
+  }
+
+  // Returns { value, version, prefix, notes } for the statement that applies to
+  // this browser version, with value as a caniuse-style support value, or null
+  // when the dataset has no statement for the browser or doesn't know the version
+  async getBrowserStatement(compat, browser, version) {
+    const bcdBrowser = this._bcdBrowser(browser);
+    const statements = compat.support?.[bcdBrowser];
+    if (!statements || !this.hasBrowser(browser)) {
+      return null;
+    }
+
+    const targetVersion = await this._resolveVersion(browser, bcdBrowser, version);
+    if (targetVersion === null) {
+      return null;
+    }
+
+    // Answers read from an engine release stay labelled with the browser's own version
+    const reported = ENGINE_EQUIVALENTS[browser]
+      ? { version: String(version), notes: [`Checked as ${bcdBrowser} ${targetVersion}, the engine ${browser} ${version} is built on`] }
+      : { version: targetVersion, notes: [] };
+
+    const applicable = [].concat(statements)
+      .filter(statement => this._appliesTo(statement, targetVersion));
+
+    if (applicable.length === 0) {
+      const value = [].concat(statements).some(s => s.version_added === null) ? 'u' : 'n';
+      return { value, version: reported.version, prefix: null, notes: reported.notes };
+    }
+
+    // Several statements can apply at once (e.g. prefixed and unprefixed); the best one wins
+    const ranking = ['y', 'y x', 'a', 'a x', 'd'];
+    const [best] = applicable
+      .map(statement => ({ statement, value: this._toSupportValue(statement) }))
+      .sort((a, b) => ranking.indexOf(a.value) - ranking.indexOf(b.value));
+
+    return {
+      value: best.value,
+      version: reported.version,
+      prefix: best.statement.prefix || best.statement.alternative_name || null,
+      notes: [...reported.notes, ...[].concat(best.statement.notes || []).map(note => note.replace(/<[^>]+>/g, ''))]
+    };
+  }
+
+  // The release from which support has been continuous up to today, counting
+  // partial implementations when allowPartial is set. Returns
+  // { minVersion, support, prefixRequired? } or { minVersion: null, reason }.
+  getMinimumVersion(compat, browser, { allowPartial = false } = {}) {
+    const statements = compat.support?.[this._bcdBrowser(browser)];
+    if (!statements || !this.hasBrowser(browser)) {
+      return { minVersion: null, reason: 'Browser not in browser-compat-data' };
+    }
+
+    const accepted = [].concat(statements).filter(statement =>
+      typeof statement.version_added === 'string' &&
+      statement.version_added !== 'preview' &&
+      !statement.flags &&
+      (allowPartial || !statement.partial_implementation)
+    );
+    const added = statement => statement.version_added.replace('≤', '');
+
+    const current = accepted
+      .filter(statement => statement.version_removed === undefined)
+      .sort((a, b) => compareVersions(added(a), added(b)))[0];
+    if (!current) {
+      return { minVersion: null, reason: 'Not supported in any released version' };
+    }
+
+    // Walk back through earlier statements that end where the next one starts
+    let earliest = current;
+    let previous;
+    while ((previous = accepted.find(statement => statement.version_removed === earliest.version_added))) {
+      earliest = previous;
+    }
+
+    // Engine releases map back to the first release of the browser built on one
+    const equivalent = ENGINE_EQUIVALENTS[browser];
+    const minVersion = equivalent
+      ? Object.keys(equivalent.versions).find(version => compareVersions(equivalent.versions[version], added(earliest)) >= 0)
+      : added(earliest);
+    if (!minVersion) {
+      return { minVersion: null, reason: 'Not supported in any released version' };
+    }
+
+    return {
+      minVersion,
+      support: earliest.partial_implementation ? 'partial' : 'full',
+      ...((earliest.prefix || earliest.alternative_name) && { prefixRequired: true })
+    };
+  }
+
+  // Resolves aliases the same way as caniuse lookups, then checks the version
+  // is a release this copy of the data knows about
+  async _resolveVersion(browser, bcdBrowser, version) {
+    const resolved = resolveVersion(browser, version);
+    if (resolved === null) {
+      return null;
+    }
+    if (resolved === 'TP') {
+      return 'preview';
+    }
+
+    const equivalent = ENGINE_EQUIVALENTS[browser];
+    const engineVersion = equivalent ? equivalent.versions[matchVersionKey(Object.keys(equivalent.versions), resolved)] : resolved;
+    if (!engineVersion) {
+      return null;
+    }
+
+    const data = await this._load();
+    const releases = Object.keys(data.browsers[bcdBrowser]?.releases || {});
+    // caniuse ranges such as "15.2-15.3" are checked at their first release
+    return matchVersionKey(releases, engineVersion.split('-')[0]);
+  }
+
+  _bcdBrowser(browser) {
+    return ENGINE_EQUIVALENTS[browser]?.browser || BROWSER_IDS[browser] || browser;
+  }
+
+  _appliesTo(statement, targetVersion) {
+    const added = statement.version_added;
+    if (added === false || added === null) {
+      return false;
+    }
+    if (targetVersion === 'preview') {
+      return typeof statement.version_removed !== 'string';
+    }
+    if (added === 'preview') {
+      return false;
+    }
+    if (added === true) {
+      return true;
+    }
+
+    // "≤79" means "79 or earlier" - only 79 onwards is certain
+    if (compareVersions(targetVersion, added.replace('≤', '')) < 0) {
+      return false;
+    }
+
+    const removed = statement.version_removed;
+    if (typeof removed === 'string' && compareVersions(targetVersion, removed.replace('≤', '')) >= 0) {
+      return false;
+    }
+    return true;
+  }
+
+  _toSupportValue(statement) {
+    if (statement.flags) {
+      return 'd';
+    }
+    const prefixed = Boolean(statement.prefix || statement.alternative_name);
+    const letter = statement.partial_implementation ? 'a' : 'y';
+    return prefixed ? `${letter} x` : letter;
+  }
+}
@@ -1,12 +1,20 @@
-import fetch from 'node-fetch';
+import path from 'path';
 import { ConfigManager } from './config-manager.js';
+import { createDataSources } from './data-sources.js';
+import { FeatureCache } from './feature-cache.js';
+import { FeatureRegistry } from './feature-registry.js';
+import { BcdClient, isBcdKey } from './bcd-client.js';
+import { resolveVersion, matchVersionKey } from './version-resolver.js';
 
 export class CanIUseClient {
   constructor(projectPath = '.') {
-    this.baseUrl = 'https://caniuse.com/process/get_feat_data.php';
+    this.dataSources = null;
+    this.diskCache = null;
     this.cache = new Map();
     this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
     this.configManager = new ConfigManager(projectPath);
+    this.registry = new FeatureRegistry();
+    this.bcdClient = null;
   }
 
   async getFeatureData(featureName) {
@@ -17,85 +25,162 @@ export class CanIUseClient {
       return cached.data;
     }
 
+    const diskCache = await this._getDiskCache();
+    const diskEntry = await diskCache.get(cacheKey);
+
+    if (diskEntry && !diskEntry.stale) {
+      this.cache.set(cacheKey, {
+        data: diskEntry.data,
+        source: diskEntry.source,
+        timestamp: diskEntry.timestamp
+      });
+      return diskEntry.data;
+    }
+
     try {
-      const url = `${this.baseUrl}?type=support-data&feat=${featureName}`;
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch feature data: ${response.status} ${response.statusText}`);
+      const { data, source } = await this._fetchFromSources(featureName);
+
+      this.cache.set(cacheKey, {
+        data,
+        source: source.name,
+        timestamp: Date.now()
+      });
+
+      if (source.cacheable) {
+        await diskCache.set(cacheKey, data, source.name);
       }
       
-      const data = await response.json();
-      
-      if (!data || data.length === 0) {
-        throw new Error(`No data found for feature: ${featureName}`);
+      return data;
+    } catch (error) {
+      if (!diskEntry) {
+        throw error;
       }
 
+      // Refresh failed - keep serving the stale copy for the rest of this session
+      console.warn(`Warning: Using stale cached data for ${featureName}: ${error.message}`);
       this.cache.set(cacheKey, {
-        data: data[0],
+        data: diskEntry.data,
+        source: diskEntry.source,
+        stale: true,
         timestamp: Date.now()
       });
-      
-      return data[0];
-    } catch (error) {
-      throw new Error(`Error fetching caniuse data for ${featureName}: ${error.message}`);
+      return diskEntry.data;
+    }
+  }
+
+  async _fetchFromSources(featureName) {
+    const sources = await this._getDataSources();
+    const failures = [];
+
+    for (const source of sources) {
+      try {
+        const data = await source.getFeature(featureName);
+        if (data) {
+          return { data, source };
+        }
+      } catch (error) {
+        failures.push(`${source.name}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Error fetching caniuse data for ${featureName}: ${failures.join('; ')}`);
+    }
+    throw new Error(`No data found for feature: ${featureName}`);
+  }
+
+  async _getDiskCache() {
+    if (!this.diskCache) {
+      const config = await this.configManager.loadConfig();
+      this.diskCache = FeatureCache.fromConfig(config, this.configManager.projectPath);
+      this.cacheExpiry = this.diskCache.maxAge;
+    }
+    return this.diskCache;
+  }
+
+  async _getDataSources() {
+    if (!this.dataSources) {
+      const config = await this.configManager.loadConfig();
+      this.dataSources = createDataSources(config.dataSources, this.configManager.projectPath);
+    }
+    return this.dataSources;
+  }
+
+  // Browser metadata (names, release dates, usage_global) from the first
+  // data source that ships it
+  async getAgents() {
+    const sources = await this._getDataSources();
+    for (const source of sources) {
+      try {
+        const agents = await source.getAgents();
+        if (agents) {
+          return agents;
+        }
+      } catch (error) {
+        console.warn(`Warning: Could not load browser data from ${source.name}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  async getBcdClient() {
+    if (this.bcdClient === null) {
+      const config = await this.configManager.loadConfig();
+      this.bcdClient = config.bcd.enabled
+        ? new BcdClient({ path: config.bcd.path && path.resolve(this.configManager.projectPath, config.bcd.path) })
+        : false;
     }
+    return this.bcdClient;
+  }
+
+  getFeatureDataSource(featureName) {
+    return this.cache.get(featureName)?.source || null;
   }
 
   async getBrowserSupport(featureData, browser, version) {
-    if (!featureData.stats || !featureData.stats[browser]) {
+    const match = await this.resolveBrowserVersion(featureData, browser, version);
+    return match ? featureData.stats[browser][match.key] : null;
+  }
+
+  // Maps a requested version onto the feature's version keys. Returns
+  // { key, fallback } or null when the data has nothing for that version.
+  async resolveBrowserVersion(featureData, browser, version) {
+    const browserStats = featureData.stats?.[browser];
+    if (!browserStats) {
       return null;
     }
-    
-    // Try exact version first
-    if (featureData.stats[browser][version]) {
-      return featureData.stats[browser][version];
+
+    const keys = Object.keys(browserStats);
+    const resolved = resolveVersion(browser, version);
+    const key = resolved && matchVersionKey(keys, resolved);
+    if (key) {
+      return { key, fallback: false };
     }
-    
-    // If exact version not found, try fallback versions
+
+    // Configured fallbacks are an explicit choice, so they are used but flagged
     const fallbackVersions = await this.configManager.getFallbackVersions(browser);
     for (const fallbackVersion of fallbackVersions) {
-      if (featureData.stats[browser][fallbackVersion]) {
-        return featureData.stats[browser][fallbackVersion];
+      const fallbackKey = matchVersionKey(keys, fallbackVersion);
+      if (fallbackKey) {
+        return { key: fallbackKey, fallback: true };
       }
     }
-    
-    // If still not found, try to find closest version
-    const availableVersions = Object.keys(featureData.stats[browser] || {});
-    if (availableVersions.length > 0) {
-      // Sort versions and try to find closest
-      const numericVersions = availableVersions
-        .map(v => ({ version: v, numeric: parseFloat(v) }))
-        .filter(v => !isNaN(v.numeric))
-        .sort((a, b) => a.numeric - b.numeric);
-        
-      const targetNumeric = parseFloat(version);
-      if (!isNaN(targetNumeric)) {
-        // Find closest version that's less than or equal to target
-        let closest = null;
-        for (const v of numericVersions) {
-          if (v.numeric <= targetNumeric) {
-            closest = v.version;
-          } else {
-            break;
-          }
-        }
-        
-        if (closest && featureData.stats[browser][closest]) {
-          return featureData.stats[browser][closest];
-        }
-      }
-      
-      // Fallback to lowest available version
-      const lowestVersion = numericVersions[0]?.version;
-      if (lowestVersion && featureData.stats[browser][lowestVersion]) {
-        return featureData.stats[browser][lowestVersion];
-      }
-    }
-    
+
     return null;
   }
 
+  // Splits a raw caniuse value such as "a x #2" into its support letter,
+  // flags and note references
+  parseSupportValue(supportValue) {
+    const tokens = typeof supportValue === 'string' ? supportValue.trim().split(/\s+/) : [];
+    return {
+      letter: tokens[0] || null,
+      prefixRequired: tokens.includes('x'),
+      disabledByDefault: tokens.includes('d'),
+      noteNumbers: tokens.filter(token => token.startsWith('#')).map(token => token.slice(1))
+    };
+  }
+
   getSupportStatus(supportValue) {
     const statusMap = {
       'y': { supported: true, type: 'full', description: 'Full support' },
@@ -106,13 +191,23 @@ export class CanIUseClient {
       'u': { supported: false, type: 'unknown', description: 'Support unknown' }
     };
     
-    return statusMap[supportValue] || { supported: false, type: 'unknown', description: 'Unknown support status' };
+    if (supportValue === null) {
+      return { supported: false, type: 'version-unknown', description: 'Version not found in support data' };
+    }
+    
+    // Raw values may carry flags and note references (e.g. "a x #2")
+    const supportLetter = typeof supportValue === 'string' ? this.parseSupportValue(supportValue).letter : supportValue;
+    return statusMap[supportLetter] || { supported: false, type: 'unknown', description: 'Unknown support status' };
   }
 
-  async getFeatureSupportWithConfig(featureName, browser, version) {
+  // scope: a path scope from the config, adding its own polyfills and overrides,
+  // and the syntax features the project's transpiler rewrites (transpiled)
+  async getFeatureSupportWithConfig(requestedName, browser, version, scope = null) {
+    const featureName = this.registry.canonicalize(requestedName);
+
     try {
       // Check for feature override first
-      const override = await this.configManager.getFeatureOverride(featureName);
+      const override = await this.configManager.getFeatureOverride(featureName, scope);
       if (override) {
         return {
           supported: override === 'supported',
@@ -122,30 +217,75 @@ export class CanIUseClient {
         };
       }
 
-      // Get normal support data first
-      const featureData = await this.getFeatureData(featureName);
-      const supportValue = await this.getBrowserSupport(featureData, browser, version);
-      const status = this.getSupportStatus(supportValue || 'n');
+      const support = await this._resolveSupport(featureName, browser, version);
+      const status = support.value === null
+        ? { ...this.getSupportStatus(null), description: `No support data for ${browser} ${version}` }
+        : this.getSupportStatus(support.value);
+      const { letter, noteNumbers, ...flags } = this.parseSupportValue(support.value);
+      if (support.prefix) {
+        flags.prefix = support.prefix;
+      }
+      const details = {
+        flags,
+        notes: support.notes || [],
+        bugs: support.bugs || [],
+        resolvedVersion: support.version,
+        ...(support.versionFallback && { versionFallback: true }),
+        dataset: support.dataset,
+        dataSource: support.dataSource,
+        ...(support.datasets && { datasets: support.datasets }),
+        ...(support.conflict && { conflict: support.conflict })
+      };
       
-      // Check if feature is polyfilled
-      const isPolyfilled = await this.configManager.isFeaturePolyfilled(featureName);
+      // Syntax the project's Babel/TypeScript setup rewrites never reaches the browser
+      const transpiler = scope?.transpiled?.get(featureName);
+      if (transpiler && !status.supported) {
+        return {
+          supported: true,
+          type: 'transpiled',
+          description: `Handled by transpiler (${transpiler.tool}, ${transpiler.file})`,
+          originalSupport: { ...status, description: this._describeSupport(status, details) },
+          source: 'transpiler',
+          transpiler,
+          rawValue: support.value,
+          ...details
+        };
+      }
+
+      // Check if feature is polyfilled (and whether the polyfill runs in this browser)
+      const polyfill = await this.configManager.getPolyfillCoverage(featureName, scope, browser, version);
       
-      // If feature is polyfilled and originally unsupported, mark as supported
-      if (isPolyfilled && !status.supported) {
+      // If feature is polyfilled and originally unsupported, mark as supported,
+      // or partially supported when the polyfill only covers part of it
+      if (polyfill?.available && !status.supported) {
+        // A feature listed by name says nothing about what provides it
+        const partial = polyfill.coverage === 'partial' || polyfill.coverage === 'declared';
         return {
           supported: true,
-          type: 'polyfilled',
-          description: 'Supported via polyfill',
-          originalSupport: status,
+          type: partial ? 'partial' : 'polyfilled',
+          description: polyfill.coverage === 'declared'
+            ? 'Partially supported via polyfill (listed by feature name, so coverage is not verified)'
+            : partial
+              ? `Partially supported via ${polyfill.polyfill}: ${polyfill.note}`
+              : `Supported via ${polyfill.polyfill}`,
+          originalSupport: { ...status, description: this._describeSupport(status, details) },
           source: 'polyfill',
-          rawValue: supportValue
+          polyfill,
+          rawValue: support.value,
+          ...details
         };
       }
       
+      const description = this._describeSupport(status, details);
       return {
         ...status,
-        source: 'caniuse-data',
-        rawValue: supportValue
+        description: polyfill && !polyfill.available && !status.supported
+          ? `${description} (${polyfill.polyfill} needs ${polyfill.minimumVersion} or later)`
+          : description,
+        ...(polyfill && !polyfill.available && { polyfill }),
+        source: support.dataset === 'mdn-bcd' ? 'bcd-data' : 'caniuse-data',
+        rawValue: support.value,
+        ...details
       };
       
     } catch (error) {
@@ -158,8 +298,135 @@ export class CanIUseClient {
     }
   }
 
-  async checkFeatureSupportForTarget(featureName, targetString) {
+  // Asks caniuse and MDN browser-compat-data for the same feature. Registry
+  // entries name their key in each dataset; bare BCD keys only exist in BCD.
+  async _resolveSupport(featureName, browser, version) {
+    const entry = this.registry.get(featureName);
+    const bcdKey = entry ? entry.bcd : (isBcdKey(featureName) ? featureName : null);
+    const caniuseId = entry ? entry.caniuse : (bcdKey ? null : featureName);
+    const answers = [];
+    const failures = [];
+
+    if (caniuseId) {
+      try {
+        const featureData = await this.getFeatureData(caniuseId);
+        const match = await this.resolveBrowserVersion(featureData, browser, version);
+        const value = match ? featureData.stats[browser][match.key] : null;
+        answers.push({
+          dataset: 'caniuse',
+          dataSource: this.getFeatureDataSource(caniuseId),
+          value,
+          version: match?.key ?? null,
+          versionFallback: match?.fallback,
+          notes: this._getNotes(featureData, this.parseSupportValue(value).noteNumbers),
+          bugs: (featureData.bugs || []).map(bug => bug.description)
+        });
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+
+    const bcdClient = bcdKey && await this.getBcdClient();
+    if (bcdClient) {
+      try {
+        const compat = await bcdClient.getCompat(bcdKey);
+        if (compat) {
+          const statement = await bcdClient.getBrowserStatement(compat, browser, version);
+          answers.push({
+            dataset: 'mdn-bcd',
+            dataSource: 'browser-compat-data',
+            value: statement?.value ?? null,
+            version: statement?.version ?? null,
+            prefix: statement?.prefix,
+            notes: (statement?.notes || []).map(text => ({ number: null, text }))
+          });
+        } else if (!caniuseId) {
+          failures.push(new Error(`No browser-compat-data entry for ${bcdKey}`));
+        }
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+
+    if (answers.length === 0) {
+      throw failures[0] || new Error(`No data found for feature: ${featureName}`);
+    }
+
+    const answered = answers.filter(answer => answer.value !== null);
+    if (answered.length < 2) {
+      return answered[0] || answers[0];
+    }
+
+    return this._reconcile(answered[0], answered[1], (await this.configManager.loadConfig()).bcd.conflictResolution);
+  }
+
+  // Note text is only shipped by the caniuse.com endpoint and data.json;
+  // caniuse-lite keeps the references but drops the text
+  _getNotes(featureData, noteNumbers) {
+    return noteNumbers.map(number => ({
+      number: Number(number),
+      text: featureData.notes_by_num?.[number] || null
+    }));
+  }
+
+  _describeSupport(status, { flags, notes, resolvedVersion, versionFallback }) {
+    const qualifiers = [];
+    if (versionFallback) {
+      qualifiers.push(`using fallback version ${resolvedVersion}`);
+    }
+    if (flags.prefixRequired) {
+      qualifiers.push(flags.prefix ? `requires ${flags.prefix} prefix` : 'requires vendor prefix');
+    }
+    if (flags.disabledByDefault && status.type !== 'disabled') {
+      qualifiers.push('disabled by default');
+    }
+    if (notes.length > 0) {
+      const numbered = notes.filter(note => note.number !== null).map(note => `#${note.number}`);
+      qualifiers.push(numbered.length > 0 ? `see notes ${numbered.join(', ')}` : 'see notes');
+    }
+    return qualifiers.length > 0 ? `${status.description} (${qualifiers.join('; ')})` : status.description;
+  }
+
+  // Both datasets answered. Agreement is reported as such; on conflict the
+  // configured policy picks a side ("conservative" keeps the weaker support).
+  _reconcile(caniuseAnswer, bcdAnswer, policy = 'conservative') {
+    const datasets = [caniuseAnswer.dataset, bcdAnswer.dataset];
+    const caniuseStatus = this.getSupportStatus(caniuseAnswer.value);
+    const bcdStatus = this.getSupportStatus(bcdAnswer.value);
+    // Notes from either side explain the answer (or the disagreement)
+    const notes = [...caniuseAnswer.notes, ...bcdAnswer.notes];
+
+    if (caniuseStatus.type === bcdStatus.type) {
+      return { ...caniuseAnswer, prefix: bcdAnswer.prefix, notes, datasets };
+    }
+
+    const ranking = ['full', 'partial', 'polyfill', 'disabled', 'unknown', 'none'];
+    let chosen;
+    if (policy === 'caniuse') {
+      chosen = caniuseAnswer;
+    } else if (policy === 'bcd') {
+      chosen = bcdAnswer;
+    } else {
+      chosen = ranking.indexOf(bcdStatus.type) > ranking.indexOf(caniuseStatus.type) ? bcdAnswer : caniuseAnswer;
+    }
+
+    return {
+      ...chosen,
+      // Known bugs are listed per feature, not per browser, so keep them either way
+      bugs: caniuseAnswer.bugs,
+      notes,
+      datasets,
+      conflict: {
+        caniuse: caniuseAnswer.value,
+        'mdn-bcd': bcdAnswer.value,
+        resolution: policy,
+        chosen: chosen.dataset
+      }
+    };
+  }
+
+  async checkFeatureSupportForTarget(featureName, targetString, scope = null) {
     const targetConfig = await this.configManager.resolveTargetVersion(targetString);
-    return await this.getFeatureSupportWithConfig(featureName, targetConfig.browser, targetConfig.version);
+    return await this.getFeatureSupportWithConfig(featureName, targetConfig.browser, targetConfig.version, scope);
   }
 }
\ No newline at end of file
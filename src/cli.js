@@ -0,0 +1,459 @@
+import { parseArgs } from 'util';
+import { handleScanProject, handleCheckCompatibility, handleGetFixes, handleManageConfig } from './enhanced-tools.js';
+
+// Exit codes: OK, more unsupported features than --max-unsupported allows,
+// bad usage or a failed run
+const EXIT_OK = 0;
+const EXIT_UNSUPPORTED = 1;
+const EXIT_ERROR = 2;
+
+const COMMANDS = {
+  scan: {
+    usage: 'scan [path] [--target <target>...] [--usage <region>] [--max-depth <n>] [--exclude <dir>...] [--changed-since <ref> | --staged | --bundle <dir>] [--baseline <file>] [--update-baseline] [--max-unsupported <n>] [--json | --sarif]',
+    description: 'Scan a project and check the detected features against the targets',
+    options: {
+      target: { type: 'string', short: 't', multiple: true },
+      usage: { type: 'string' },
+      'max-depth': { type: 'string' },
+      exclude: { type: 'string', multiple: true },
+      'changed-since': { type: 'string' },
+      staged: { type: 'boolean' },
+      bundle: { type: 'string' },
+      baseline: { type: 'string' },
+      'update-baseline': { type: 'boolean' },
+      'max-unsupported': { type: 'string' },
+      json: { type: 'boolean' },
+      sarif: { type: 'boolean' }
+    },
+    run: runScan
+  },
+  check: {
+    usage: 'check [feature...] [--file <path>...] [--target <target>...] [--usage <region>] [--max-unsupported <n>] [--json]',
+    description: 'Check specific features, or the features used in some files',
+    options: {
+      file: { type: 'string', short: 'f', multiple: true },
+      target: { type: 'string', short: 't', multiple: true },
+      usage: { type: 'string' },
+      'max-unsupported': { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run: runCheck
+  },
+  fixes: {
+    usage: 'fixes <feature...> [--priority critical|high|medium|low|all] [--json]',
+    description: 'Show polyfills, alternatives and build steps for features',
+    options: {
+      priority: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run: runFixes
+  },
+  config: {
+    usage: 'config [action] [--baseline <target>] [--polyfill <feature>] [--feature <feature> --override supported|unsupported] [--target-name <name> --browser <browser> --version <version>] [--json]',
+    description: 'View or change .caniuse-config.json (actions as in the manage_config tool; default "view")',
+    options: {
+      baseline: { type: 'string' },
+      polyfill: { type: 'string' },
+      feature: { type: 'string' },
+      override: { type: 'string' },
+      'target-name': { type: 'string' },
+      browser: { type: 'string' },
+      version: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run: runConfig
+  }
+};
+
+export function isCliCommand(arg) {
+  return arg in COMMANDS || ['help', '--help', '-h'].includes(arg);
+}
+
+// Runs one CLI command and resolves to the process exit code
+export async function runCli(argv, output = console) {
+  const [command, ...rest] = argv;
+  const spec = COMMANDS[command];
+  if (!spec) {
+    output.log(renderHelp());
+    return ['help', '--help', '-h'].includes(command) ? EXIT_OK : EXIT_ERROR;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: spec.options, allowPositionals: true });
+  } catch (error) {
+    output.error(`${error.message}\nUsage: caniuse-mcp-server ${spec.usage}`);
+    return EXIT_ERROR;
+  }
+
+  try {
+    return await spec.run(parsed.values, parsed.positionals, output);
+  } catch (error) {
+    output.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+async function runScan(options, positionals, output) {
+  const [projectPath = '.'] = positionals;
+  const result = await handleScanProject({
+    projectPath,
+    targets: options.target,
+    usage: options.usage,
+    ...(options['max-depth'] && { maxDepth: parseCount(options['max-depth'], '--max-depth') }),
+    ...(options.exclude && { excludeDirs: options.exclude }),
+    format: options.sarif ? 'sarif' : 'json',
+    baselineFile: options.baseline,
+    updateBaseline: options['update-baseline'],
+    changedSince: options['changed-since'],
+    staged: options.staged,
+    bundleDir: options.bundle
+  });
+  const maxUnsupported = parseCount(options['max-unsupported'] ?? '0', '--max-unsupported');
+
+  if (options.sarif) {
+    output.log(JSON.stringify(result, null, 2));
+    const { baseline } = result.runs[0].properties;
+    const unsupported = baseline?.summary
+      ? collectRegressions(baseline)
+      : new Set(result.runs[0].results.map(r => r.ruleId));
+    return unsupported.size > maxUnsupported ? EXIT_UNSUPPORTED : EXIT_OK;
+  }
+
+  // Against a baseline only new problems count towards --max-unsupported
+  const unsupported = result.baseline?.summary
+    ? collectRegressions(result.baseline)
+    : collectUnsupported(result.detailedResults.summary?.targets);
+  if (options.json) {
+    output.log(JSON.stringify(result, null, 2));
+  } else {
+    output.log(renderScan(result, unsupported));
+  }
+  if (result.baseline?.written) {
+    return EXIT_OK;
+  }
+  return reportThreshold(unsupported, maxUnsupported, output, options.json, result.baseline ? 'new unsupported' : 'unsupported');
+}
+
+async function runCheck(options, positionals, output) {
+  const result = await handleCheckCompatibility({
+    features: positionals,
+    files: options.file,
+    ...(options.target && { targets: options.target }),
+    usage: options.usage
+  });
+
+  if (result.status === 'no-features') {
+    output.error([`${result.message}. Pass feature IDs or --file <path>.`, ...result.unknownFeatures.map(unknown => unknown.message)].join('\n'));
+    return EXIT_ERROR;
+  }
+
+  const unsupported = collectUnsupported(result.summary.byTarget);
+  if (options.json) {
+    output.log(JSON.stringify(result, null, 2));
+  } else {
+    output.log(renderCheck(result));
+  }
+  return reportThreshold(unsupported, parseCount(options['max-unsupported'] ?? '0', '--max-unsupported'), output, options.json);
+}
+
+async function runFixes(options, positionals, output) {
+  const result = handleGetFixes({ features: positionals, priority: options.priority });
+  if (result.error) {
+    output.error(`${result.message}\nUsage: caniuse-mcp-server ${COMMANDS.fixes.usage}`);
+    return EXIT_ERROR;
+  }
+
+  output.log(options.json ? JSON.stringify(result, null, 2) : renderFixes(result));
+  return EXIT_OK;
+}
+
+async function runConfig(options, positionals, output) {
+  const [action = 'view'] = positionals;
+  const result = await handleManageConfig({
+    action,
+    baseline: options.baseline,
+    polyfill: options.polyfill,
+    feature: options.feature,
+    override: options.override,
+    targetName: options['target-name'],
+    browser: options.browser,
+    version: options.version
+  });
+
+  if (options.json) {
+    output.log(JSON.stringify(result, null, 2));
+  } else if (action === 'view' && result.currentConfig) {
+    output.log(renderConfig(result));
+  } else if (action === 'validate' && result.files) {
+    output.log(renderValidation(result));
+  } else {
+    output.log(result.message || JSON.stringify(result, null, 2));
+  }
+  return result.success === false || result.error ? EXIT_ERROR : EXIT_OK;
+}
+
+function parseCount(value, flag) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${flag} expects a whole number, got "${value}"`);
+  }
+  return count;
+}
+
+// Features that fail at least one target, with the targets they fail (or,
+// with key "unchecked", the targets there is no support data for)
+function collectUnsupported(summaryTargets = {}, key = 'issues') {
+  const unsupported = new Map();
+  for (const [target, targetSummary] of Object.entries(summaryTargets)) {
+    for (const feature of targetSummary[key] || []) {
+      if (!unsupported.has(feature)) unsupported.set(feature, []);
+      unsupported.get(feature).push(target);
+    }
+  }
+  return unsupported;
+}
+
+function collectRegressions(baseline) {
+  const regressions = new Map();
+  for (const issue of [...baseline.introduced, ...baseline.newOccurrences]) {
+    regressions.set(issue.feature, issue.targets);
+  }
+  return regressions;
+}
+
+function reportThreshold(unsupported, maxUnsupported, output, quiet, label = 'unsupported') {
+  if (unsupported.size <= maxUnsupported) {
+    return EXIT_OK;
+  }
+  if (!quiet) {
+    output.error(`\n✗ ${unsupported.size} ${label} feature(s), more than the ${maxUnsupported} allowed by --max-unsupported`);
+  }
+  return EXIT_UNSUPPORTED;
+}
+
+function renderScan(result, unsupported) {
+  const { project, compatibility, detailedResults } = result;
+  const { incremental, bundle } = project;
+  let scope = '';
+  if (incremental) {
+    scope = ` (${incremental.mode === 'staged' ? 'staged changes' : `changes since ${incremental.ref}`}, ${incremental.changedFiles} changed file(s))`;
+  } else if (bundle) {
+    scope = ` (${bundle.bundles} bundle(s) in ${bundle.dir}, ${bundle.mapped} with source maps)`;
+  }
+
+  if (result.status === 'no-features-detected') {
+    return `No detectable CSS/JS features found in ${project.path}${scope}`;
+  }
+
+  const lines = [
+    `Scanned ${project.scanned} in ${project.path}${scope} (${project.jsFiles} JS, ${project.cssFiles} CSS): ${project.featuresDetected} features detected`,
+    `Targets${compatibility.targetSource ? ` (from ${compatibility.targetSource})` : ''}: ${compatibility.targets.join(', ')}`,
+    ''
+  ];
+
+  const weighted = compatibility.weightedScore !== undefined;
+  lines.push(renderTable(
+    ['Target', 'Score', ...(weighted ? ['Usage-weighted'] : []), 'Supported', 'Unsupported'],
+    Object.entries(detailedResults.summary.targets).map(([target, summary]) => [
+      target,
+      `${summary.score}%`,
+      ...(weighted ? [summary.weightedScore !== undefined ? `${summary.weightedScore}%` : '-'] : []),
+      summary.supported ?? '-',
+      summary.unsupported ?? '-'
+    ])
+  ));
+  if (compatibility.scopes) {
+    lines.push('', renderTable(
+      ['Config section', 'Files', 'Targets', 'Score', 'Unsupported'],
+      Object.entries(compatibility.scopes).map(([name, scopeSummary]) => [
+        name, scopeSummary.files, scopeSummary.targets.join(', '), `${scopeSummary.score ?? '-'}%`, scopeSummary.issues.join(', ') || '-'
+      ])
+    ));
+  }
+  lines.push('', `Overall score: ${compatibility.overallScore}%${weighted ? ` (usage-weighted: ${compatibility.weightedScore}%)` : ''}`);
+  if (compatibility.usage) {
+    lines.push(compatibility.usage.message);
+  }
+  if (result.suppressed?.total > 0) {
+    const { total, progressivelyEnhanced, ignored } = result.suppressed;
+    lines.push(`Not checked: ${total} occurrence(s) (${progressivelyEnhanced} behind feature tests, ${ignored} with caniuse-ignore); see --json`);
+  }
+  if (bundle && Object.keys(bundle.dependencies).length > 0) {
+    lines.push('From node_modules:', ...Object.entries(bundle.dependencies).map(([name, features]) => `  - ${name}: ${features.join(', ')}`));
+  }
+  if (result.transpilation) {
+    const { tools, transpiled, untranspiledSyntax, runtime } = result.transpilation;
+    if (transpiled.length > 0) {
+      lines.push(`Handled by transpiler (${tools.map(tool => tool.file).join(', ')}): ${transpiled.map(item => item.feature).join(', ')}`);
+    }
+    if (untranspiledSyntax.length > 0) {
+      const note = result.transpilation.bundle ? ' in the bundles' : tools.length === 0 ? ' (no Babel or TypeScript config found)' : '';
+      lines.push(`Syntax left as written${note}: ${untranspiledSyntax.join(', ')}`);
+    }
+    if (runtime.length > 0) {
+      lines.push(`Runtime features needing polyfills: ${runtime.join(', ')}`);
+    }
+  }
+  if (result.polyfills) {
+    const { applied, discrepancies } = result.polyfills;
+    if (applied.length > 0) {
+      lines.push(`Polyfills imported by entry points: ${applied.join(', ')}`);
+    }
+    if (discrepancies.length > 0) {
+      lines.push(`Polyfill config differs from the project (${discrepancies.length}):`, ...discrepancies.map(item => `  - ${item.message}`));
+    }
+  }
+
+  lines.push('', ...(result.baseline ? renderBaseline(result.baseline) : renderUnsupported(unsupported)));
+  lines.push(...renderUnchecked(collectUnsupported(detailedResults.summary.targets, 'unchecked')));
+  return lines.join('\n');
+}
+
+function renderBaseline(baseline) {
+  if (baseline.written) {
+    return [`✓ ${baseline.message}`];
+  }
+
+  const lines = [`Compared with baseline ${baseline.file} (${baseline.baselineCreatedAt})`];
+  if (baseline.targetsChanged) {
+    lines.push(`Targets changed since the baseline: ${baseline.targetsChanged.baseline.join(', ')} -> ${baseline.targetsChanged.current.join(', ')}`);
+  }
+  const formatLocation = location => `${location.file}${location.line ? `:${location.line}` : ''}`;
+  const rows = [
+    ...baseline.introduced.map(issue => ['new', issue.feature, issue.targets.join(', '), issue.locations.map(formatLocation).join(', ')]),
+    ...baseline.newOccurrences.map(issue => ['new occurrence', issue.feature, issue.targets.join(', '), issue.locations.map(formatLocation).join(', ')]),
+    ...baseline.resolved.map(issue => ['resolved', issue.feature, issue.targets.join(', '), issue.locations.map(formatLocation).join(', ')]),
+    ...baseline.moved.map(issue => ['moved', issue.feature, '', issue.locations.map(move => `${move.file}:${move.from.line} -> ${move.to.line}`).join(', ')])
+  ];
+  if (rows.length > 0) {
+    lines.push('', renderTable(['Change', 'Feature', 'Targets', 'Locations'], rows));
+  }
+  lines.push('', `${baseline.passed ? '✓' : '✗'} ${baseline.message}`);
+  return lines;
+}
+
+function renderCheck(result) {
+  const lines = [renderTable(
+    ['Feature', ...result.targets],
+    result.features.map(feature => [
+      feature,
+      ...result.targets.map(target => {
+        const detail = result.compatibility[target]?.details?.find(d => d.feature === feature);
+        if (!detail || detail.error) return '?';
+        return detail.supported ? '✓' : '✗';
+      })
+    ])
+  )];
+
+  const { weightedScore } = result.summary;
+  lines.push('', `Overall score: ${result.summary.overallScore}%${weightedScore !== undefined ? ` (usage-weighted: ${weightedScore}%)` : ''}`);
+  if (result.summary.usage) {
+    lines.push(result.summary.usage.message);
+  }
+  for (const unknown of result.unknownFeatures) {
+    lines.push(unknown.message);
+  }
+
+  lines.push('', ...renderUnsupported(collectUnsupported(result.summary.byTarget)));
+  lines.push(...renderUnchecked(collectUnsupported(result.summary.byTarget, 'unchecked')));
+  return lines.join('\n');
+}
+
+function renderUnsupported(unsupported) {
+  if (unsupported.size === 0) {
+    return ['✓ All features are supported by every target'];
+  }
+  return [
+    renderTable(['Unsupported feature', 'Fails in'], [...unsupported].map(([feature, targets]) => [feature, targets.join(', ')])),
+    '',
+    `Run "caniuse-mcp-server fixes ${[...unsupported.keys()].slice(0, 5).join(' ')}" for remediation steps`
+  ];
+}
+
+// Not counted as supported or unsupported, so they must not go unmentioned
+function renderUnchecked(unchecked) {
+  if (unchecked.size === 0) {
+    return [];
+  }
+  return [
+    '',
+    renderTable(['Not checked (no support data)', 'Targets'], [...unchecked].map(([feature, targets]) => [feature, targets.join(', ')]))
+  ];
+}
+
+function renderFixes(result) {
+  const lines = [renderTable(
+    ['Feature', 'Priority', 'Polyfills', 'Alternatives'],
+    result.fixes.map(fix => [
+      fix.feature,
+      fix.priority || 'unknown',
+      (fix.polyfills || []).join(', ') || '-',
+      (fix.alternatives || []).join(', ') || '-'
+    ])
+  )];
+
+  for (const fix of result.fixes) {
+    const steps = fix.buildSteps?.length ? fix.buildSteps : fix.suggestions;
+    if (!steps?.length) continue;
+    lines.push('', `${fix.feature}:`, ...steps.map(step => `  - ${step}`));
+    if (fix.documentation) {
+      lines.push(`  Docs: ${fix.documentation}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderConfig(result) {
+  const { currentConfig } = result;
+  const overrides = Object.entries(currentConfig.overrides || {});
+  return [
+    ...(currentConfig.extends ? [`Extends: ${[].concat(currentConfig.extends).join(', ')}`] : []),
+    `Default baseline: ${currentConfig.defaultBaseline}`,
+    `Polyfills: ${currentConfig.polyfills.map(name => describePolyfill(name, currentConfig.polyfillCoverage?.[name])).join(', ') || 'none'}`,
+    `Overrides: ${overrides.map(([feature, value]) => `${feature}=${typeof value === 'string' ? value : JSON.stringify(value)}`).join(', ') || 'none'}`,
+    `Data sources: ${currentConfig.dataSources.map(source => source.type || source).join(', ')}`,
+    `Targets: ${result.availableTargets.join(', ')}`
+  ].join('\n');
+}
+
+// "core-js (30 features, 2 partial)", or just the name for a feature listed directly
+function describePolyfill(name, coverage) {
+  if (!coverage?.package) return name;
+  const total = coverage.features.length + coverage.partial.length;
+  return `${name} (${total} feature(s)${coverage.partial.length > 0 ? `, ${coverage.partial.length} partial` : ''})`;
+}
+
+function renderValidation(result) {
+  const issues = [
+    ...result.errors.map(issue => ({ ...issue, severity: 'error' })),
+    ...result.warnings.map(issue => ({ ...issue, severity: 'warning' }))
+  ];
+  if (issues.length === 0) {
+    return `✓ ${result.message}`;
+  }
+  return [
+    renderTable(['Severity', 'File', 'Setting', 'Problem'], issues.map(issue => [issue.severity, issue.file, issue.path, issue.message])),
+    '',
+    `${result.valid ? '✓' : '✗'} ${result.message}`
+  ].join('\n');
+}
+
+function renderTable(headers, rows) {
+  const cells = [headers, ...rows].map(row => row.map(cell => String(cell)));
+  const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+  const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  return [format(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(format)].join('\n');
+}
+
+function renderHelp() {
+  return [
+    'Usage: caniuse-mcp-server <command> [options]',
+    '       caniuse-mcp-server              (no command: start the MCP server on stdio)',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, spec]) => `  ${name.padEnd(8)}${spec.description}\n          caniuse-mcp-server ${spec.usage}`),
+    '',
+    `Exit codes: ${EXIT_OK} ok, ${EXIT_UNSUPPORTED} more unsupported features than --max-unsupported (default 0), ${EXIT_ERROR} error`
+  ].join('\n');
+}
@@ -24,7 +24,15 @@ export class CompatibilityChecker {
         status: result.type,
         description: result.description,
         source: result.source,
+        dataSource: result.dataSource,
+        dataset: result.dataset,
+        conflict: result.conflict,
         rawValue: result.rawValue,
+        resolvedVersion: result.resolvedVersion,
+        versionFallback: result.versionFallback,
+        flags: result.flags,
+        notes: result.notes,
+        bugs: result.bugs,
         originalSupport: result.originalSupport,
         // Legacy compatibility fields
         featureTitle: featureName,
@@ -1,22 +1,166 @@
 import fs from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import browserslist from 'browserslist';
+import { FeatureRegistry } from './feature-registry.js';
+import { ConfigValidator } from './config-validator.js';
+import { PolyfillRegistry } from './polyfill-registry.js';
+
+// "extends": "caniuse-mcp-server/<name>" loads one of the bundled examples
+const PRESET_PREFIX = 'caniuse-mcp-server/';
+const BUILTIN_PRESETS = {
+  basic: 'basic-config.json',
+  enterprise: 'enterprise-config.json',
+  'css-variables-polyfill': 'css-variables-polyfill.json',
+  'promise-allsettled-polyfill': 'promise-allsettled-polyfill.json'
+};
+const PRESET_DIR = fileURLToPath(new URL('../examples/', import.meta.url));
+
+// Published with the package; editors use it for completion and inline errors
+const CONFIG_SCHEMA_URL = 'https://unpkg.com/caniuse-mcp-server/caniuse-config.schema.json';
+
+// Config problems already printed by any ConfigManager in this process, so
+// each is reported once per file however many managers load it
+const reportedIssues = new Set();
+
+const BUILTIN_TARGETS = {
+  'chrome-37': { browser: 'chrome', version: '37' },
+  'chrome-latest': { browser: 'chrome', version: 'latest' },
+  'firefox-esr': { browser: 'firefox', version: '78' },
+  'safari-12': { browser: 'safari', version: '12' },
+  'ie-11': { browser: 'ie', version: '11' },
+  'edge-legacy': { browser: 'edge', version: '18' }
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Layers are merged in order, later ones winning:
+// - polyfills accumulate; "!name" drops one added by an earlier layer
+// - overrides merge by key; null removes an inherited one, and path
+//   sections merge with these same rules
+// - customTargets merge by name, each target replaced as a whole
+// - other objects merge recursively; arrays and scalars are replaced
+function mergeConfig(base, layer) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(layer)) {
+    if (key === 'extends' || value === undefined) continue;
+
+    if (key === 'polyfills') {
+      merged.polyfills = mergePolyfills(base.polyfills, value);
+    } else if (key === 'overrides') {
+      merged.overrides = mergeOverrides(base.overrides, value);
+    } else if (key === 'customTargets') {
+      merged.customTargets = { ...base.customTargets, ...value };
+    } else if (isPlainObject(value) && isPlainObject(base[key])) {
+      merged[key] = mergeObjects(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function mergePolyfills(base = [], polyfills = []) {
+  const merged = [...base];
+  for (const polyfill of [].concat(polyfills)) {
+    if (typeof polyfill !== 'string') continue;
+    if (polyfill.startsWith('!')) {
+      const index = merged.indexOf(polyfill.slice(1));
+      if (index > -1) merged.splice(index, 1);
+    } else if (!merged.includes(polyfill)) {
+      merged.push(polyfill);
+    }
+  }
+  return merged;
+}
+
+function mergeOverrides(base = {}, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeConfig(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function mergeObjects(base, value) {
+  const merged = { ...base };
+  for (const [key, item] of Object.entries(value)) {
+    merged[key] = isPlainObject(item) && isPlainObject(base[key]) ? mergeObjects(base[key], item) : item;
+  }
+  return merged;
+}
+
+// "apps/admin/**", "src/*.js", "**/legacy/*.{js,css}" -> RegExp over /-separated paths
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      pattern += `(?:${glob.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = end;
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
 
 export class ConfigManager {
   constructor(projectPath = '.') {
     this.projectPath = projectPath;
     this.config = null;
+    this.registry = new FeatureRegistry();
+    this.polyfillRegistry = new PolyfillRegistry(undefined, this.registry);
+    this.validator = new ConfigValidator(this.registry, this.polyfillRegistry);
     this.defaultConfig = {
       defaultBaseline: 'chrome-37',
       customTargets: {},
       polyfills: [],
+      // Apply polyfill packages imported from entry points (see PolyfillDetector)
+      detectPolyfills: true,
       overrides: {},
-      browserFallbacks: {
-        chrome: ['37'], // fallback versions if specific version not found
-        firefox: ['78'],
-        safari: ['12'],
-        ie: ['11'],
-        edge: ['18']
-      }
+      // Providers consulted in order for feature support data
+      dataSources: [
+        { type: 'remote' },
+        { type: 'caniuse-lite' }
+      ],
+      // Persistent cache for remotely fetched feature data
+      cache: {
+        enabled: true,
+        directory: null, // defaults to $XDG_CACHE_HOME/caniuse-mcp or ~/.cache/caniuse-mcp
+        maxAgeHours: 24
+      },
+      // MDN browser-compat-data, consulted alongside caniuse
+      bcd: {
+        enabled: true,
+        path: null, // defaults to the bundled @mdn/browser-compat-data package
+        conflictResolution: 'conservative' // or 'caniuse' / 'bcd' when the datasets disagree
+      },
+      // Audience used for usage-weighted scores and browserslist "my stats" queries
+      usage: {
+        region: null, // country code ("US") or caniuse region ("alt-eu")
+        statsFile: null, // browserslist stats.json with your own analytics
+        coverage: 95 // % of that audience scan_project targets when nothing else is configured
+      },
+      // Versions to use when the requested one is missing from the support data,
+      // e.g. { chrome: ['37'] }. Without one, such versions are reported as unknown.
+      browserFallbacks: {}
     };
   }
 
@@ -25,49 +169,157 @@ export class ConfigManager {
 
     // Try to load from file first
     const configPath = path.join(this.projectPath, '.caniuse-config.json');
-    let fileConfig = {};
-    
+    const fileConfig = await this._readFileConfig();
+
+    // Presets named in "extends" come first so the project's own settings win.
+    // Unlike a broken config file, a missing preset is an error: silently
+    // dropping an organisation's shared settings would skew every result.
+    const presets = await this._loadPresets(fileConfig.extends, path.dirname(configPath), [path.resolve(configPath)]);
+
+    // Merge with environment variables
+    const envConfig = this._loadFromEnvironment();
+
+    // Merge all configurations: default < presets < file < environment
+    this.config = [...presets.map(preset => preset.config), fileConfig, envConfig]
+      .reduce(mergeConfig, structuredClone(this.defaultConfig));
+    if (fileConfig.extends) {
+      this.config.extends = fileConfig.extends;
+    }
+
+    // Report typos and invalid values instead of silently ignoring them
+    if (Object.keys(fileConfig).length > 0) {
+      const { errors, warnings } = this._validateLayers([...presets, { file: configPath, config: fileConfig }]);
+      for (const issue of [...errors, ...warnings]) {
+        const key = `${path.resolve(issue.file)}\0${issue.path}\0${issue.message}`;
+        if (reportedIssues.has(key)) continue;
+        reportedIssues.add(key);
+        console.warn(`${errors.includes(issue) ? 'Error' : 'Warning'}: ${issue.file} ${issue.path}: ${issue.message}`);
+      }
+    }
+
+    return this.config;
+  }
+
+  // Full report for the project file and every preset it extends
+  async validateConfig() {
+    const configPath = path.join(this.projectPath, '.caniuse-config.json');
+    if (!fs.existsSync(configPath)) {
+      return { valid: true, files: [], errors: [], warnings: [], message: `No ${configPath} found; the defaults apply` };
+    }
+
+    let fileConfig;
+    try {
+      fileConfig = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+    } catch (error) {
+      return {
+        valid: false,
+        files: [configPath],
+        errors: [{ file: configPath, path: '(root)', message: `not valid JSON: ${error.message}` }],
+        warnings: [],
+        message: `${configPath} could not be parsed`
+      };
+    }
+
+    let presets = [];
+    let presetError = null;
+    try {
+      presets = await this._loadPresets(fileConfig.extends, path.dirname(configPath), [path.resolve(configPath)]);
+    } catch (error) {
+      presetError = { file: configPath, path: 'extends', message: error.message };
+    }
+
+    const result = this._validateLayers([...presets, { file: configPath, config: fileConfig }]);
+    if (presetError) {
+      result.errors.unshift(presetError);
+      result.valid = false;
+    }
+    return {
+      ...result,
+      message: result.errors.length === 0 && result.warnings.length === 0
+        ? `${result.files.length} config file(s) checked, no problems found`
+        : `${result.errors.length} error(s) and ${result.warnings.length} warning(s) in ${result.files.length} config file(s)`
+    };
+  }
+
+  // Targets may be defined in any layer, so each one is checked against all of them
+  _validateLayers(layers) {
+    const knownTargets = [
+      ...Object.keys(BUILTIN_TARGETS),
+      ...layers.flatMap(({ config }) => Object.keys(config.customTargets || {}))
+    ];
+    const errors = [];
+    const warnings = [];
+    for (const { file, config } of layers) {
+      const result = this.validator.validate(config, { knownTargets });
+      errors.push(...result.errors.map(issue => ({ file, ...issue })));
+      warnings.push(...result.warnings.map(issue => ({ file, ...issue })));
+    }
+    return { valid: errors.length === 0, files: layers.map(layer => layer.file), errors, warnings };
+  }
+
+  // The project's own config file, without inherited presets or defaults
+  async _readFileConfig() {
+    const configPath = path.join(this.projectPath, '.caniuse-config.json');
     try {
       if (fs.existsSync(configPath)) {
         const configContent = await fs.promises.readFile(configPath, 'utf8');
-        fileConfig = JSON.parse(configContent);
+        return JSON.parse(configContent);
       }
     } catch (error) {
       console.warn(`Warning: Could not load config from ${configPath}: ${error.message}`);
     }
+    return {};
+  }
 
-    // Merge with environment variables
-    const envConfig = this._loadFromEnvironment();
+  // Flattens "extends" (a name or a list, each of which may extend further
+  // presets) into { file, config } layers, base-most first
+  async _loadPresets(extendsValue, baseDir, chain) {
+    const layers = [];
+    for (const spec of [].concat(extendsValue || [])) {
+      const presetPath = this._resolvePreset(spec, baseDir);
+      if (chain.includes(presetPath)) {
+        throw new Error(`Circular "extends": ${[...chain, presetPath].join(' -> ')}`);
+      }
 
-    // Merge all configurations: default < file < environment
-    this.config = {
-      ...this.defaultConfig,
-      ...fileConfig,
-      ...envConfig,
-      // Merge nested objects properly
-      customTargets: {
-        ...this.defaultConfig.customTargets,
-        ...fileConfig.customTargets,
-        ...envConfig.customTargets
-      },
-      polyfills: [
-        ...this.defaultConfig.polyfills,
-        ...(fileConfig.polyfills || []),
-        ...(envConfig.polyfills || [])
-      ],
-      overrides: {
-        ...this.defaultConfig.overrides,
-        ...fileConfig.overrides,
-        ...envConfig.overrides
-      },
-      browserFallbacks: {
-        ...this.defaultConfig.browserFallbacks,
-        ...fileConfig.browserFallbacks,
-        ...envConfig.browserFallbacks
+      let preset;
+      try {
+        preset = JSON.parse(await fs.promises.readFile(presetPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not load preset "${spec}" from ${presetPath}: ${error.message}`);
       }
-    };
 
-    return this.config;
+      layers.push(...await this._loadPresets(preset.extends, path.dirname(presetPath), [...chain, presetPath]));
+      // "$schema"/"$comment" describe the preset file itself
+      layers.push({ file: presetPath, config: Object.fromEntries(Object.entries(preset).filter(([key]) => !key.startsWith('$'))) });
+    }
+    return layers;
+  }
+
+  // A built-in preset, a path relative to the extending file (a directory means
+  // its .caniuse-config.json) or an installed package whose main file is JSON
+  _resolvePreset(spec, baseDir) {
+    if (typeof spec !== 'string' || spec === '') {
+      throw new Error(`Invalid "extends" entry ${JSON.stringify(spec)}: expected a preset name, path or package`);
+    }
+
+    const builtin = spec.startsWith(PRESET_PREFIX) && BUILTIN_PRESETS[spec.slice(PRESET_PREFIX.length)];
+    if (builtin) {
+      return path.join(PRESET_DIR, builtin);
+    }
+
+    if (spec.startsWith('.') || path.isAbsolute(spec)) {
+      const resolved = path.resolve(baseDir, spec);
+      return fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()
+        ? path.join(resolved, '.caniuse-config.json')
+        : resolved;
+    }
+
+    try {
+      return createRequire(path.join(path.resolve(baseDir), 'noop.js')).resolve(spec);
+    } catch (error) {
+      const builtins = Object.keys(BUILTIN_PRESETS).map(name => PRESET_PREFIX + name).join(', ');
+      throw new Error(`Preset "${spec}" not found: it is not a built-in preset (${builtins}), a relative path or an installed package`);
+    }
   }
 
   _loadFromEnvironment() {
@@ -93,25 +345,47 @@ export class ConfigManager {
       }
     }
 
+    if (process.env.CANIUSE_DATA_SOURCES) {
+      try {
+        envConfig.dataSources = JSON.parse(process.env.CANIUSE_DATA_SOURCES);
+      } catch (error) {
+        envConfig.dataSources = process.env.CANIUSE_DATA_SOURCES.split(',').map(s => s.trim());
+      }
+    }
+
+    if (process.env.CANIUSE_CACHE_DIR) {
+      envConfig.cache = { directory: process.env.CANIUSE_CACHE_DIR };
+    }
+
+    if (process.env.CANIUSE_NO_CACHE) {
+      envConfig.cache = { ...envConfig.cache, enabled: false };
+    }
+
+    if (process.env.CANIUSE_BCD_PATH) {
+      envConfig.bcd = { path: process.env.CANIUSE_BCD_PATH };
+    }
+
+    if (process.env.CANIUSE_NO_BCD) {
+      envConfig.bcd = { ...envConfig.bcd, enabled: false };
+    }
+
+    if (process.env.CANIUSE_USAGE_REGION) {
+      envConfig.usage = { region: process.env.CANIUSE_USAGE_REGION };
+    }
+
+    if (process.env.CANIUSE_USAGE_STATS) {
+      envConfig.usage = { ...envConfig.usage, statsFile: process.env.CANIUSE_USAGE_STATS };
+    }
+
     return envConfig;
   }
 
   async getBrowserTargets() {
     const config = await this.loadConfig();
     
-    // Built-in targets
-    const builtInTargets = {
-      'chrome-37': { browser: 'chrome', version: '37' },
-      'chrome-latest': { browser: 'chrome', version: 'latest' },
-      'firefox-esr': { browser: 'firefox', version: '78' },
-      'safari-12': { browser: 'safari', version: '12' },
-      'ie-11': { browser: 'ie', version: '11' },
-      'edge-legacy': { browser: 'edge', version: '18' }
-    };
-
-    // Merge with custom targets
+    // Merge built-in targets with custom targets
     return {
-      ...builtInTargets,
+      ...BUILTIN_TARGETS,
       ...config.customTargets
     };
   }
@@ -125,8 +399,8 @@ export class ConfigManager {
       return targets[targetString];
     }
     
-    // Try to parse browser-version format (e.g., "chrome-57")
-    const match = targetString.match(/^([a-z]+)-(.+)$/);
+    // Try to parse browser-version format (e.g., "chrome-57", "ios_saf-15.2-15.3")
+    const match = targetString.match(/^([a-z_]+)-(.+)$/);
     if (match) {
       const [, browser, version] = match;
       return { browser, version };
@@ -142,14 +416,165 @@ export class ConfigManager {
     return { browser: 'chrome', version: '37' };
   }
 
-  async isFeaturePolyfilled(featureName) {
+  async isBrowserslistQuery(targetString) {
+    const targets = await this.getBrowserTargets();
+    if (targets[targetString]) {
+      return false;
+    }
+    return !/^[a-z_]+-[\w.-]+$/i.test(targetString);
+  }
+
+  // Expand a target into concrete browser/version pairs. Plain targets resolve
+  // to themselves; browserslist queries ("defaults", "> 0.5%, last 2 versions")
+  // resolve to every browser release they select.
+  async expandTarget(targetString) {
+    if (!(await this.isBrowserslistQuery(targetString))) {
+      const { browser, version } = await this.resolveTargetVersion(targetString);
+      return {
+        target: targetString,
+        query: false,
+        resolved: [{ target: targetString, browser, version }]
+      };
+    }
+
+    // Custom stats make "> 1% in my stats" and "cover 95% in my stats" follow your audience
+    const statsFile = await this.getUsageStatsPath();
+    const entries = browserslist(targetString, {
+      path: this.projectPath,
+      ...(statsFile && { stats: statsFile })
+    });
+    return {
+      target: targetString,
+      query: true,
+      resolved: entries.map(entry => {
+        const [browser, version] = entry.split(' ');
+        return { target: `${browser}-${version}`, browser, version };
+      })
+    };
+  }
+
+  async getUsageStatsPath() {
     const config = await this.loadConfig();
-    return config.polyfills.includes(featureName);
+    return config.usage.statsFile ? path.resolve(this.projectPath, config.usage.statsFile) : null;
   }
 
-  async getFeatureOverride(featureName) {
+  // The audience usage-weighted scores use when a tool call doesn't name one:
+  // custom stats first, then the configured region
+  async getDefaultUsage() {
     const config = await this.loadConfig();
-    return config.overrides[featureName];
+    if (config.usage.statsFile) return 'custom';
+    return config.usage.region || null;
+  }
+
+  // Browserslist query selecting the browsers that cover the configured audience
+  async getAudienceQuery() {
+    const config = await this.loadConfig();
+    const audience = config.usage.statsFile ? 'my stats' : config.usage.region;
+    return audience ? `cover ${config.usage.coverage}% in ${audience}` : null;
+  }
+
+  // Read the browserslist config (package.json field or .browserslistrc) of a project
+  getProjectBrowserslist(projectPath = this.projectPath) {
+    const queries = browserslist.loadConfig({ path: path.resolve(projectPath) });
+    if (!queries || queries.length === 0) {
+      return null;
+    }
+    return Array.isArray(queries) ? queries.join(', ') : queries;
+  }
+
+  // Polyfills and overrides may be listed under any alias of a feature
+  async isFeaturePolyfilled(featureName, scope = null) {
+    return (await this.getPolyfillCoverage(featureName, scope)) !== null;
+  }
+
+  // The best configured polyfill for a feature in a browser, or null. Known
+  // packages ("core-js", "whatwg-fetch") provide what the polyfill registry
+  // says they do; a feature listed by name is "declared", reported as partial.
+  async getPolyfillCoverage(featureName, scope = null, browser = null, version = null) {
+    const config = await this.loadConfig();
+    const featureId = this.registry.canonicalize(featureName);
+    const candidates = [];
+
+    for (const polyfill of [...config.polyfills, ...(scope?.polyfills || [])]) {
+      if (this.polyfillRegistry.resolve(polyfill)) {
+        const coverage = this.polyfillRegistry.coverage(polyfill, featureId, browser, version);
+        if (coverage) candidates.push(coverage);
+      } else if (this.registry.canonicalize(polyfill) === featureId) {
+        candidates.push({ polyfill, coverage: 'declared', available: true });
+      }
+    }
+
+    const rank = candidate => (candidate.available ? 0 : 2) + (candidate.coverage === 'partial' ? 1 : 0);
+    return candidates.sort((a, b) => rank(a) - rank(b))[0] || null;
+  }
+
+  // What each configured polyfill expands to, for manage_config "view"
+  async describePolyfills() {
+    const config = await this.loadConfig();
+    return Object.fromEntries(config.polyfills.map(polyfill => {
+      const covers = this.polyfillRegistry.expand(polyfill);
+      if (covers.length === 0) {
+        return [polyfill, { declared: this.registry.canonicalize(polyfill) }];
+      }
+      const { package: packageName, minimumVersions } = this.polyfillRegistry.resolve(polyfill).polyfill;
+      return [polyfill, {
+        package: packageName,
+        features: covers.filter(cover => cover.coverage === 'full').map(cover => cover.feature),
+        partial: covers.filter(cover => cover.coverage === 'partial').map(({ feature, note }) => ({ feature, note })),
+        ...(minimumVersions && { minimumVersions })
+      }];
+    }));
+  }
+
+  async getFeatureOverride(featureName, scope = null) {
+    const config = await this.loadConfig();
+    return this._findOverride(scope?.overrides, featureName) || this._findOverride(config.overrides, featureName);
+  }
+
+  // Feature overrides are "supported"/"unsupported" strings; object values are path scopes
+  _findOverride(overrides = {}, featureName) {
+    if (typeof overrides[featureName] === 'string') {
+      return overrides[featureName];
+    }
+    const featureId = this.registry.canonicalize(featureName);
+    const key = Object.keys(overrides).find(name =>
+      typeof overrides[name] === 'string' && this.registry.canonicalize(name) === featureId
+    );
+    return key ? overrides[key] : undefined;
+  }
+
+  // Path scopes: overrides entries whose value is an object, keyed by a glob
+  // relative to the project root, e.g.
+  //   "apps/admin/**": { "targets": ["chrome-90"], "polyfills": ["whatwg-fetch"] }
+  async getPathScopes() {
+    const config = await this.loadConfig();
+    return Object.entries(config.overrides)
+      .filter(([, value]) => value && typeof value === 'object' && !Array.isArray(value))
+      .map(([pattern, value]) => ({
+        name: pattern,
+        matcher: globToRegExp(pattern.replace(/^\.\//, '').replace(/\/$/, '')),
+        targets: value.targets ? [].concat(value.targets) : null,
+        polyfills: value.polyfills || [],
+        overrides: value.overrides || {}
+      }));
+  }
+
+  // Returns a function mapping a file path to its scope (the last matching
+  // section wins), or null when no path scopes are configured. A pattern
+  // naming a directory also covers the files below it.
+  async getScopeResolver() {
+    const scopes = await this.getPathScopes();
+    if (scopes.length === 0) {
+      return null;
+    }
+
+    const root = path.resolve(this.projectPath);
+    return filePath => {
+      const relative = path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+      const segments = relative.split('/');
+      const candidates = segments.map((_, i) => segments.slice(0, i + 1).join('/'));
+      return scopes.filter(scope => candidates.some(candidate => scope.matcher.test(candidate))).pop() || null;
+    };
   }
 
   async getFallbackVersions(browser) {
@@ -157,9 +582,10 @@ export class ConfigManager {
     return config.browserFallbacks[browser] || [];
   }
 
+  // Writes to the project's own config file only, so inherited presets,
+  // defaults and environment settings aren't copied into it
   async updateConfig(updates) {
-    const config = await this.loadConfig();
-    const newConfig = { ...config, ...updates };
+    const newConfig = { ...(await this._readFileConfig()), ...updates };
     
     const configPath = path.join(this.projectPath, '.caniuse-config.json');
     await fs.promises.writeFile(configPath, JSON.stringify(newConfig, null, 2));
@@ -172,31 +598,31 @@ export class ConfigManager {
   async addPolyfill(featureName) {
     const config = await this.loadConfig();
     if (!config.polyfills.includes(featureName)) {
-      config.polyfills.push(featureName);
-      await this.updateConfig({ polyfills: config.polyfills });
+      const { polyfills = [] } = await this._readFileConfig();
+      await this.updateConfig({ polyfills: [...polyfills.filter(polyfill => polyfill !== `!${featureName}`), featureName] });
     }
   }
 
   async removePolyfill(featureName) {
     const config = await this.loadConfig();
-    const index = config.polyfills.indexOf(featureName);
-    if (index > -1) {
-      config.polyfills.splice(index, 1);
-      await this.updateConfig({ polyfills: config.polyfills });
+    if (config.polyfills.includes(featureName)) {
+      const { polyfills = [], extends: presets } = await this._readFileConfig();
+      const remaining = polyfills.filter(polyfill => polyfill !== featureName);
+      // A preset may list it too
+      await this.updateConfig({ polyfills: presets ? [...remaining, `!${featureName}`] : remaining });
     }
   }
 
   async setFeatureOverride(featureName, supportStatus) {
-    const config = await this.loadConfig();
-    config.overrides[featureName] = supportStatus;
-    await this.updateConfig({ overrides: config.overrides });
+    const { overrides = {} } = await this._readFileConfig();
+    await this.updateConfig({ overrides: { ...overrides, [featureName]: supportStatus } });
   }
 
   // Helper to create a config file template
   static async createConfigTemplate(projectPath) {
     const configPath = path.join(projectPath, '.caniuse-config.json');
     const template = {
-      "$schema": "https://json-schema.org/draft-07/schema#",
+      "$schema": CONFIG_SCHEMA_URL,
       "$comment": "CanIUse MCP Configuration",
       "defaultBaseline": "chrome-37",
       "customTargets": {
@@ -204,13 +630,29 @@ export class ConfigManager {
         "chrome-60": { "browser": "chrome", "version": "60" }
       },
       "polyfills": [
-        "css-grid",
-        "flexbox",
-        "promises"
+        "core-js/stable/promise",
+        "whatwg-fetch"
       ],
       "overrides": {
         "css-variables": "supported"
       },
+      "dataSources": [
+        { "type": "remote" },
+        { "type": "caniuse-lite" }
+      ],
+      "cache": {
+        "enabled": true,
+        "directory": "~/.cache/caniuse-mcp",
+        "maxAgeHours": 24
+      },
+      "bcd": {
+        "enabled": true,
+        "conflictResolution": "conservative"
+      },
+      "usage": {
+        "region": null,
+        "statsFile": null
+      },
       "browserFallbacks": {
         "chrome": ["37", "40", "45"],
         "firefox": ["78", "68"],
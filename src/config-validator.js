@@ -0,0 +1,252 @@
+import fs from 'fs';
+import browserslist from 'browserslist';
+import { FeatureRegistry, editDistance } from './feature-registry.js';
+import { PolyfillRegistry } from './polyfill-registry.js';
+
+const configSchema = JSON.parse(
+  fs.readFileSync(new URL('../caniuse-config.schema.json', import.meta.url), 'utf8')
+);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some(expected =>
+    expected === typeOf(value) || (expected === 'integer' && Number.isInteger(value))
+  );
+}
+
+// ["overrides", "apps/**", "targets", 0] -> overrides["apps/**"].targets[0]
+function formatPath(at) {
+  return at.map((key, i) => {
+    if (typeof key === 'number') return `[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return i === 0 ? key : `.${key}`;
+    return `[${JSON.stringify(key)}]`;
+  }).join('') || '(root)';
+}
+
+// Checks a .caniuse-config.json against caniuse-config.schema.json (using the
+// subset of JSON Schema that file needs), then the things a schema can't
+// express: that targets resolve and that feature IDs exist. Unknown keys and
+// features are warnings; anything that changes or breaks behaviour is an error.
+export class ConfigValidator {
+  constructor(registry = new FeatureRegistry(), polyfills = new PolyfillRegistry(undefined, registry), schema = configSchema) {
+    this.registry = registry;
+    this.polyfills = polyfills;
+    this.schema = schema;
+  }
+
+  // knownTargets: named targets (built-in and custom) accepted as-is
+  validate(config, { knownTargets = [] } = {}) {
+    const issues = { errors: [], warnings: [] };
+
+    this._checkSchema(config, this.schema, [], issues);
+    if (isPlainObject(config)) {
+      this._checkFeatures(config, issues);
+      this._checkTargets(config, [...knownTargets, ...Object.keys(isPlainObject(config.customTargets) ? config.customTargets : {})], issues);
+    }
+
+    return { valid: issues.errors.length === 0, ...issues };
+  }
+
+  _checkSchema(value, node, at, issues) {
+    node = this._deref(node);
+
+    if (node.anyOf) {
+      const attempts = node.anyOf.map(branch => {
+        const branchIssues = { errors: [], warnings: [] };
+        this._checkSchema(value, branch, at, branchIssues);
+        return { branch, branchIssues };
+      });
+      const passed = attempts.find(attempt => attempt.branchIssues.errors.length === 0);
+      // Otherwise report against the branch meant for this kind of value, if only one is
+      const typed = attempts.filter(attempt => this._acceptsType(attempt.branch, value));
+      const chosen = passed || (typed.length === 1 ? typed[0] : null);
+      if (chosen) {
+        issues.errors.push(...chosen.branchIssues.errors);
+        issues.warnings.push(...chosen.branchIssues.warnings);
+      } else {
+        this._error(issues, at, `expected ${node.anyOf.map(branch => this._describe(branch)).join(' or ')}, got ${typeOf(value)}`);
+      }
+      return;
+    }
+
+    if (node.type && !matchesType(value, node.type)) {
+      this._error(issues, at, `expected ${[].concat(node.type).join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+    if (node.enum && !node.enum.includes(value)) {
+      this._error(issues, at, `expected one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+      return;
+    }
+    if (typeof value === 'string' && node.minLength && value.length < node.minLength) {
+      this._error(issues, at, 'must not be empty');
+    }
+    if (typeof value === 'number') {
+      if (node.minimum !== undefined && value < node.minimum) this._error(issues, at, `must be at least ${node.minimum}`);
+      if (node.maximum !== undefined && value > node.maximum) this._error(issues, at, `must be at most ${node.maximum}`);
+    }
+
+    if (Array.isArray(value) && node.items) {
+      value.forEach((item, index) => this._checkSchema(item, node.items, [...at, index], issues));
+    }
+
+    if (isPlainObject(value)) {
+      for (const required of node.required || []) {
+        if (!(required in value)) this._error(issues, at, `missing required "${required}"`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (node.properties?.[key]) {
+          this._checkSchema(item, node.properties[key], [...at, key], issues);
+        } else if (isPlainObject(node.additionalProperties)) {
+          this._checkSchema(item, node.additionalProperties, [...at, key], issues);
+        } else if (node.additionalProperties === false) {
+          const [suggestion] = this._suggestKeys(key, Object.keys(node.properties || {}));
+          issues.warnings.push({
+            path: formatPath([...at, key]),
+            message: `unknown setting "${key}" is ignored${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+            ...(suggestion && { suggestions: [suggestion] })
+          });
+        }
+      }
+    }
+  }
+
+  // Only local references ("#/definitions/name") are used
+  _deref(node) {
+    while (node.$ref) {
+      node = node.$ref.slice(2).split('/').reduce((parent, key) => parent[key], this.schema);
+    }
+    return node;
+  }
+
+  _acceptsType(branch, value) {
+    const node = this._deref(branch);
+    if (node.type) return matchesType(value, node.type);
+    if (node.enum) return node.enum.some(option => typeOf(option) === typeOf(value));
+    return true;
+  }
+
+  _describe(branch) {
+    const node = this._deref(branch);
+    if (node.enum) return node.enum.map(option => JSON.stringify(option)).join(', ');
+    return [].concat(node.type || 'any value').join(' or ');
+  }
+
+  _suggestKeys(key, candidates) {
+    const maxDistance = Math.max(2, Math.floor(key.length / 3));
+    return candidates
+      .filter(candidate => !candidate.startsWith('$'))
+      .map(candidate => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ candidate }) => candidate);
+  }
+
+  // Polyfill names (packages or features) and feature override keys, top
+  // level and in per-path sections
+  _checkFeatures(config, issues) {
+    const checkList = (list, at) => {
+      if (!Array.isArray(list)) return;
+      list.forEach((name, index) => {
+        if (typeof name !== 'string' || this.polyfills.isKnown(name.replace(/^!/, ''))) return;
+        if (this.registry.isKnown(name.replace(/^!/, ''))) {
+          this._checkDeclaredPolyfill(name.replace(/^!/, ''), [...at, index], issues);
+        } else {
+          this._checkFeature(name.replace(/^!/, ''), [...at, index], issues, 'feature or polyfill package');
+        }
+      });
+    };
+    const checkOverrides = (overrides, at) => {
+      if (!isPlainObject(overrides)) return;
+      for (const [key, value] of Object.entries(overrides)) {
+        if (isPlainObject(value)) {
+          checkList(value.polyfills, [...at, key, 'polyfills']);
+          checkOverrides(value.overrides, [...at, key, 'overrides']);
+        } else {
+          this._checkFeature(key, [...at, key], issues);
+        }
+      }
+    };
+
+    checkList(config.polyfills, ['polyfills']);
+    checkOverrides(config.overrides, ['overrides']);
+  }
+
+  // A feature listed by name is only partial support: nothing says what provides it
+  _checkDeclaredPolyfill(name, at, issues) {
+    const packages = this.polyfills.packagesFor(this.registry.canonicalize(name));
+    issues.warnings.push({
+      path: formatPath(at),
+      message: `"${name}" is a feature, not a polyfill package, so its coverage can't be verified${packages.length > 0 ? ` (list the package instead, e.g. ${packages.slice(0, 3).map(p => `"${p}"`).join(', ')})` : ''}`,
+      ...(packages.length > 0 && { suggestions: packages })
+    });
+  }
+
+  _checkFeature(name, at, issues, kind = 'feature') {
+    if (this.registry.isKnown(name)) return;
+    const suggestions = this.registry.suggest(name);
+    issues.warnings.push({
+      path: formatPath(at),
+      message: `unknown ${kind} "${name}"${suggestions.length > 0 ? ` (did you mean ${suggestions.map(s => `"${s}"`).join(', ')}?)` : ''}`,
+      ...(suggestions.length > 0 && { suggestions })
+    });
+  }
+
+  _checkTargets(config, knownTargets, issues) {
+    if (typeof config.defaultBaseline === 'string' && config.defaultBaseline) {
+      this._checkTarget(config.defaultBaseline, knownTargets, ['defaultBaseline'], issues);
+    }
+
+    for (const [name, target] of Object.entries(isPlainObject(config.customTargets) ? config.customTargets : {})) {
+      if (isPlainObject(target) && typeof target.browser === 'string' && !this._isBrowser(target.browser)) {
+        this._error(issues, ['customTargets', name, 'browser'], `unknown browser "${target.browser}" (expected a caniuse browser ID such as ${Object.keys(browserslist.data).slice(0, 4).join(', ')})`);
+      }
+    }
+
+    for (const [key, section] of Object.entries(isPlainObject(config.overrides) ? config.overrides : {})) {
+      if (!isPlainObject(section)) continue;
+      const targets = section.targets;
+      [].concat(targets ?? []).forEach((target, index) => {
+        if (typeof target === 'string' && target) {
+          this._checkTarget(target, knownTargets, ['overrides', key, 'targets', ...(Array.isArray(targets) ? [index] : [])], issues);
+        }
+      });
+    }
+  }
+
+  // A named target, browser-version ("chrome-57", "ios_saf-15.2-15.3") or a browserslist query
+  _checkTarget(target, knownTargets, at, issues) {
+    if (knownTargets.includes(target)) return;
+
+    const plain = target.match(/^([a-z_]+)-[\w.-]+$/i);
+    if (plain) {
+      if (!this._isBrowser(plain[1])) {
+        this._error(issues, at, `unknown browser "${plain[1]}" in target "${target}"`);
+      }
+      return;
+    }
+
+    // Custom usage stats are only known at check time
+    if (/\bmy stats\b/i.test(target)) return;
+    try {
+      browserslist(target);
+    } catch (error) {
+      this._error(issues, at, `"${target}" is neither a known target nor a valid browserslist query: ${error.message}`);
+    }
+  }
+
+  _isBrowser(name) {
+    const id = name.toLowerCase();
+    return Boolean(browserslist.data[id] || browserslist.aliases[id]);
+  }
+
+  _error(issues, at, message) {
+    issues.errors.push({ path: formatPath(at), message });
+  }
+}
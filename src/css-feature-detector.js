@@ -0,0 +1,422 @@
+import postcss from 'postcss';
+import postcssScss from 'postcss-scss';
+import postcssLess from 'postcss-less';
+import selectorParser from 'postcss-selector-parser';
+import valueParser from 'postcss-value-parser';
+import { createSuppression, parseSuppressionComment } from './suppressions.js';
+
+// Parser-backed detection of CSS features. Properties, values, units, selectors
+// and at-rules are read from the PostCSS tree, so comments never match and every
+// occurrence is reported with its location. SCSS and Less use their own syntaxes.
+export class CssFeatureDetector {
+  constructor() {
+    this.syntaxes = {
+      '.scss': postcssScss,
+      '.less': postcssLess
+    };
+
+    // Property name (without vendor prefix) -> caniuse feature ID
+    this.propertyFeatures = {
+      'grid': 'css-grid',
+      'grid-template': 'css-grid',
+      'grid-template-columns': 'css-grid',
+      'grid-template-rows': 'css-grid',
+      'grid-template-areas': 'css-grid',
+      'grid-area': 'css-grid',
+      'grid-column': 'css-grid',
+      'grid-row': 'css-grid',
+      'grid-auto-flow': 'css-grid',
+      'grid-auto-columns': 'css-grid',
+      'grid-auto-rows': 'css-grid',
+      'flex': 'flexbox',
+      'flex-direction': 'flexbox',
+      'flex-wrap': 'flexbox',
+      'flex-flow': 'flexbox',
+      'flex-grow': 'flexbox',
+      'flex-shrink': 'flexbox',
+      'flex-basis': 'flexbox',
+      'transform': 'transforms2d',
+      'transform-origin': 'transforms2d',
+      'perspective': 'transforms3d',
+      'transform-style': 'transforms3d',
+      'backface-visibility': 'transforms3d',
+      'transition': 'css-transitions',
+      'transition-property': 'css-transitions',
+      'transition-duration': 'css-transitions',
+      'transition-timing-function': 'css-transitions',
+      'animation': 'css-animation',
+      'animation-name': 'css-animation',
+      'animation-duration': 'css-animation',
+      'filter': 'css-filters',
+      'backdrop-filter': 'css-backdrop-filter',
+      'mask': 'css-masks',
+      'mask-image': 'css-masks',
+      'clip-path': 'css-clip-path',
+      'border-radius': 'border-radius',
+      'box-shadow': 'css-boxshadow',
+      'object-fit': 'object-fit',
+      'object-position': 'object-fit',
+      'aspect-ratio': 'mdn-css_properties_aspect-ratio',
+      'will-change': 'will-change',
+      'container': 'css-container-queries',
+      'container-type': 'css-container-queries',
+      'container-name': 'css-container-queries',
+      'contain': 'css-containment',
+      'content-visibility': 'css-content-visibility',
+      'scroll-behavior': 'css-scroll-behavior',
+      'scroll-snap-type': 'css-snappoints',
+      'scroll-snap-align': 'css-snappoints',
+      'overscroll-behavior': 'css-overscroll-behavior',
+      'user-select': 'user-select-none',
+      'appearance': 'css-appearance',
+      'touch-action': 'css-touch-action',
+      'hyphens': 'css-hyphens',
+      'writing-mode': 'css-writing-mode',
+      'mix-blend-mode': 'css-mixblendmode',
+      'column-count': 'multicolumn',
+      'columns': 'multicolumn',
+      'inset': 'css-logical-props',
+      'inset-inline': 'css-logical-props',
+      'inset-block': 'css-logical-props',
+      'margin-inline': 'css-logical-props',
+      'margin-inline-start': 'css-logical-props',
+      'margin-inline-end': 'css-logical-props',
+      'margin-block': 'css-logical-props',
+      'padding-inline': 'css-logical-props',
+      'padding-inline-start': 'css-logical-props',
+      'padding-inline-end': 'css-logical-props',
+      'padding-block': 'css-logical-props',
+      'inline-size': 'css-logical-props',
+      'block-size': 'css-logical-props'
+    };
+
+    // Property -> value keyword -> caniuse feature ID
+    this.valueFeatures = {
+      'display': {
+        'grid': 'css-grid',
+        'inline-grid': 'css-grid',
+        'flex': 'flexbox',
+        'inline-flex': 'flexbox',
+        'contents': 'css-display-contents'
+      },
+      'position': {
+        'sticky': 'css-sticky'
+      },
+      'text-wrap': {
+        'balance': 'css-text-wrap-balance'
+      }
+    };
+
+    // CSS function name -> caniuse feature ID
+    this.functionFeatures = {
+      'var': 'css-variables',
+      'calc': 'calc',
+      'clamp': 'css-math-functions',
+      'min': 'css-math-functions',
+      'max': 'css-math-functions',
+      'env': 'css-env-function',
+      'linear-gradient': 'css-gradients',
+      'radial-gradient': 'css-gradients',
+      'repeating-linear-gradient': 'css-repeating-gradients',
+      'repeating-radial-gradient': 'css-repeating-gradients',
+      'conic-gradient': 'css-conic-gradients',
+      'image-set': 'css-image-set',
+      'lab': 'css-lch-lab',
+      'lch': 'css-lch-lab',
+      'oklab': 'css-lch-lab',
+      'oklch': 'css-lch-lab',
+      'color': 'css-color-function',
+      'translate3d': 'transforms3d',
+      'rotate3d': 'transforms3d',
+      'rotateX': 'transforms3d',
+      'rotateY': 'transforms3d',
+      'scale3d': 'transforms3d',
+      'matrix3d': 'transforms3d'
+    };
+
+    // Unit -> caniuse feature ID
+    this.unitFeatures = {
+      'vw': 'viewport-units',
+      'vh': 'viewport-units',
+      'vmin': 'viewport-units',
+      'vmax': 'viewport-units',
+      'dvh': 'viewport-unit-variants',
+      'dvw': 'viewport-unit-variants',
+      'svh': 'viewport-unit-variants',
+      'svw': 'viewport-unit-variants',
+      'lvh': 'viewport-unit-variants',
+      'lvw': 'viewport-unit-variants',
+      'ch': 'ch-unit',
+      'rem': 'rem',
+      'cqw': 'css-container-query-units',
+      'cqh': 'css-container-query-units',
+      'cqi': 'css-container-query-units',
+      'cqb': 'css-container-query-units'
+    };
+
+    // Pseudo-class/element (without prefix) -> caniuse feature ID
+    this.pseudoFeatures = {
+      ':is': 'css-matches-pseudo',
+      ':matches': 'css-matches-pseudo',
+      ':where': 'mdn-css_selectors_where',
+      ':has': 'css-has',
+      ':focus-visible': 'css-focus-visible',
+      ':focus-within': 'css-focus-within',
+      ':any-link': 'css-any-link',
+      ':dir': 'css-dir-pseudo',
+      ':placeholder-shown': 'css-placeholder-shown',
+      ':read-only': 'css-read-only-write',
+      ':read-write': 'css-read-only-write',
+      ':in-range': 'css-in-out-of-range',
+      ':out-of-range': 'css-in-out-of-range',
+      ':indeterminate': 'css-indeterminate-pseudo',
+      '::placeholder': 'css-placeholder',
+      '::marker': 'css-marker-pseudo',
+      '::selection': 'css-selection',
+      '::backdrop': 'mdn-css-backdrop-pseudo-element',
+      '::file-selector-button': 'css-file-selector-button'
+    };
+
+    // At-rule name -> caniuse feature ID
+    this.atRuleFeatures = {
+      'supports': 'css-featurequeries',
+      'container': 'css-container-queries',
+      'layer': 'css-cascade-layers',
+      'keyframes': 'css-animation',
+      'font-face': 'fontface',
+      'property': 'mdn-css_at-rules_property',
+      'scope': 'css-cascade-scope',
+      'counter-style': 'css-at-counter-style'
+    };
+
+    // Media feature -> caniuse feature ID
+    this.mediaFeatures = {
+      'prefers-color-scheme': 'prefers-color-scheme',
+      'prefers-reduced-motion': 'prefers-reduced-motion',
+      'hover': 'css-media-interaction',
+      'pointer': 'css-media-interaction'
+    };
+  }
+
+  parse(content, ext = '.css') {
+    const syntax = this.syntaxes[ext];
+    return syntax ? syntax.parse(content) : postcss.parse(content);
+  }
+
+  // Returns { features, matches, suppressions } where features are caniuse IDs
+  // and matches holds every occurrence per feature. Occurrences inside an
+  // @supports block testing for the same feature carry the block as "guard";
+  // suppressions lists the line ranges of caniuse-ignore comments.
+  // Throws if the stylesheet cannot be parsed.
+  detect(content, ext = '.css') {
+    const root = this.parse(content, ext);
+    const matches = {};
+    const isPlainCss = !this.syntaxes[ext];
+    const supportsCache = new Map();
+    let guards = new Map();
+
+    const record = (featureId, kind, match, position) => {
+      if (!featureId || !position) return;
+      if (!matches[featureId]) {
+        matches[featureId] = [];
+      }
+      const entry = { kind, match, line: position.line, column: position.column };
+      if (guards.has(featureId)) {
+        entry.guard = guards.get(featureId);
+      }
+      matches[featureId].push(entry);
+    };
+
+    root.walk(node => {
+      guards = this._getSupportsGuards(node, supportsCache);
+      if (node.type === 'decl') {
+        this._detectDeclaration(node, record);
+      } else if (node.type === 'rule') {
+        if (node.mixin) return; // Less mixin call
+        this._detectSelector(node, record);
+        // Preprocessors compile nesting away; only native CSS nesting needs support
+        if (isPlainCss && node.parent?.type === 'rule') {
+          record('css-nesting', 'nesting', node.selector, node.source?.start);
+        }
+      } else if (node.type === 'atrule') {
+        if (node.variable || node.mixin) return; // Less @variables and mixins
+        this._detectAtRule(node, record);
+      }
+    });
+
+    for (const featureMatches of Object.values(matches)) {
+      featureMatches.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    return {
+      features: Object.keys(matches),
+      matches,
+      suppressions: this._findSuppressions(root)
+    };
+  }
+
+  // Features tested by the @supports blocks around a node -> the guarding condition
+  _getSupportsGuards(node, cache) {
+    const guards = new Map();
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent.type !== 'atrule' || parent.name.toLowerCase() !== 'supports') continue;
+      if (!cache.has(parent)) {
+        cache.set(parent, this._getSupportedFeatures(parent.params));
+      }
+      for (const featureId of cache.get(parent)) {
+        if (!guards.has(featureId)) guards.set(featureId, `@supports ${parent.params}`);
+      }
+    }
+    return guards;
+  }
+
+  // (display: grid) and selector(:has(a)) -> css-grid, css-has. A negated
+  // condition ("not", "or") doesn't promise the feature inside the block.
+  _getSupportedFeatures(params) {
+    const features = new Set();
+    if (/\b(not|or)\b/i.test(params.replace(/selector\([^)]*\)/gi, ''))) return features;
+
+    const record = featureId => featureId && features.add(featureId);
+    const declarations = [...params.matchAll(/\(\s*([-\w]+)\s*:\s*([^()]*(?:\([^()]*\)[^()]*)*)\)/g)]
+      .map(([, prop, value]) => `${prop}: ${value.trim()}`);
+    const selectors = [...params.matchAll(/selector\(\s*((?:[^()]|\([^()]*\))*)\)/gi)].map(([, selector]) => selector);
+
+    try {
+      if (declarations.length > 0) {
+        postcss.parse(`a { ${declarations.join('; ')} }`).walkDecls(decl => this._detectDeclaration(decl, record));
+      }
+      for (const selector of selectors) {
+        postcss.parse(`${selector} {}`).walkRules(rule => this._detectSelector(rule, record));
+      }
+    } catch (error) {
+      // An unparsable condition simply guards nothing
+    }
+    return features;
+  }
+
+  // A caniuse-ignore comment after a declaration covers its line; on a line of
+  // its own it covers the next declaration, rule or at-rule (with its block)
+  _findSuppressions(root) {
+    const suppressions = [];
+    root.walkComments(comment => {
+      const parsed = parseSuppressionComment(comment.text);
+      const start = comment.source?.start;
+      if (!parsed || !start) return;
+
+      const previous = comment.prev();
+      const next = comment.next();
+      if (parsed.file || previous?.source?.end?.line === start.line) {
+        suppressions.push(createSuppression(parsed, start.line, start.line, start.line));
+      } else if (next?.source?.start) {
+        suppressions.push(createSuppression(parsed, start.line, next.source.start.line, (next.source.end || next.source.start).line));
+      }
+    });
+    return suppressions;
+  }
+
+  _detectDeclaration(decl, record) {
+    const prop = decl.prop.toLowerCase();
+
+    // Preprocessor variables ($var: ..., @var: ...) are not CSS
+    if (prop.startsWith('$') || prop.startsWith('@') || decl.prop.includes('#{')) return;
+
+    if (prop.startsWith('--')) {
+      record('css-variables', 'property', decl.prop, decl.source?.start);
+    }
+
+    const unprefixed = prop.replace(/^-(webkit|moz|ms|o)-/, '');
+    record(this.propertyFeatures[unprefixed], 'property', decl.prop, decl.source?.start);
+
+    const valueKeyword = decl.value.trim().toLowerCase().replace(/^-(webkit|moz|ms|o)-/, '');
+    const valueFeature = this.valueFeatures[unprefixed]?.[valueKeyword];
+    if (valueFeature) {
+      record(valueFeature, 'value', `${decl.prop}: ${decl.value}`, decl.source?.start);
+    }
+
+    if (['gap', 'row-gap', 'column-gap'].includes(unprefixed)) {
+      this._detectGap(decl, record);
+    }
+
+    if (prop.startsWith('--')) return; // custom property values are opaque
+    this._detectValue(decl, record);
+  }
+
+  // gap means different features depending on the layout of the same rule
+  _detectGap(decl, record) {
+    const display = decl.parent?.nodes
+      ?.filter(n => n.type === 'decl' && n.prop.toLowerCase() === 'display')
+      .map(n => n.value.trim().toLowerCase())
+      .pop();
+
+    if (display === 'flex' || display === 'inline-flex') {
+      record('flexbox-gap', 'value', `${decl.prop} (flex layout)`, decl.source?.start);
+    } else if (display === 'grid' || display === 'inline-grid') {
+      record('css-grid', 'property', decl.prop, decl.source?.start);
+    }
+  }
+
+  _detectValue(decl, record) {
+    const value = decl.raws.value?.raw ?? decl.value;
+    const valueOffset = decl.prop.length + (decl.raws.between ?? ':').length;
+    const positionAt = index => decl.positionBy({ index: valueOffset + index });
+
+    valueParser(value).walk(node => {
+      if (node.type === 'function') {
+        const name = node.value.toLowerCase().replace(/^-(webkit|moz|ms|o)-/, '');
+        const featureId = this.functionFeatures[name] || this.functionFeatures[node.value];
+        record(featureId, 'function', `${node.value}()`, positionAt(node.sourceIndex));
+      } else if (node.type === 'word') {
+        if (/^#[0-9a-f]{4}$|^#[0-9a-f]{8}$/i.test(node.value)) {
+          record('css-rrggbbaa', 'value', node.value, positionAt(node.sourceIndex));
+          return;
+        }
+        const dimension = valueParser.unit(node.value);
+        if (dimension && dimension.number) {
+          record(this.unitFeatures[dimension.unit.toLowerCase()], 'unit', node.value, positionAt(node.sourceIndex));
+        }
+      }
+    });
+  }
+
+  _detectSelector(rule, record) {
+    // Interpolated selectors (#{...} in SCSS, @{...} in Less) are resolved at build time
+    if (/#\{|@\{/.test(rule.selector)) return;
+
+    let selectors;
+    try {
+      selectors = selectorParser().astSync(rule.selector);
+    } catch (error) {
+      return;
+    }
+
+    selectors.walkPseudos(pseudo => {
+      const name = pseudo.value.toLowerCase().replace(/^(::?)-(webkit|moz|ms|o)-(input-)?/, '$1');
+      const position = rule.positionBy({ index: pseudo.sourceIndex });
+      record(this.pseudoFeatures[name], 'selector', pseudo.value, position);
+
+      if (name === ':not' && pseudo.nodes.length > 1) {
+        record('css-not-sel-list', 'selector', pseudo.toString().trim(), position);
+      }
+      if ((name === ':nth-child' || name === ':nth-last-child') && /\bof\b/.test(pseudo.toString())) {
+        record('css-nth-child-of', 'selector', pseudo.toString().trim(), position);
+      }
+    });
+  }
+
+  _detectAtRule(atRule, record) {
+    const name = atRule.name.toLowerCase().replace(/^-(webkit|moz|ms|o)-/, '');
+    record(this.atRuleFeatures[name], 'at-rule', `@${atRule.name}`, atRule.source?.start);
+
+    if (name === 'media') {
+      for (const [mediaFeature, featureId] of Object.entries(this.mediaFeatures)) {
+        if (new RegExp(`\\(\\s*${mediaFeature}\\b`).test(atRule.params)) {
+          record(featureId, 'media-query', `@media ${atRule.params}`, atRule.source?.start);
+        }
+      }
+      // Range syntax such as (width >= 600px)
+      if (/\(\s*[\w-]+\s*[<>]=?/.test(atRule.params) || /[<>]=?\s*[\w-]+\s*\)/.test(atRule.params)) {
+        record('css-media-range-syntax', 'media-query', `@media ${atRule.params}`, atRule.source?.start);
+      }
+    }
+  }
+}
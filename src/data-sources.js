@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import fetch from 'node-fetch';
+
+const require = createRequire(import.meta.url);
+
+// Remote caniuse.com endpoint - answers one feature per request
+export class RemoteDataSource {
+  constructor(options = {}) {
+    this.name = 'remote';
+    // Network responses are worth persisting; local providers are already on disk
+    this.cacheable = true;
+    this.baseUrl = options.url || 'https://caniuse.com/process/get_feat_data.php';
+    // An unresponsive endpoint must not hold up the sources after it
+    this.timeoutMs = options.timeoutMs ?? 5000;
+  }
+
+  async getFeature(featureName) {
+    const url = `${this.baseUrl}?type=support-data&feat=${encodeURIComponent(featureName)}`;
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        throw new Error(`No response from ${this.baseUrl} within ${this.timeoutMs}ms`);
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch feature data: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    return data[0];
+  }
+
+  async getAgents() {
+    return null;
+  }
+}
+
+// Full caniuse data.json (https://github.com/Fyrd/caniuse) stored on disk
+export class DataJsonSource {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('data-json source requires a "path" to caniuse data.json');
+    }
+    this.name = 'data-json';
+    this.filePath = options.path;
+    this.dataset = null;
+  }
+
+  async _load() {
+    if (this.dataset) return this.dataset;
+
+    const content = await fs.promises.readFile(this.filePath, 'utf8');
+    const dataset = JSON.parse(content);
+    if (!dataset || typeof dataset.data !== 'object') {
+      throw new Error(`${this.filePath} is not a caniuse data.json file (missing "data" section)`);
+    }
+
+    this.dataset = dataset;
+    return this.dataset;
+  }
+
+  async getFeature(featureName) {
+    const dataset = await this._load();
+    return dataset.data[featureName] || null;
+  }
+
+  async getAgents() {
+    const dataset = await this._load();
+    return dataset.agents || null;
+  }
+}
+
+// caniuse-lite packed format, either the installed package or a copy of it on disk
+export class CaniuseLiteSource {
+  constructor(options = {}) {
+    this.name = 'caniuse-lite';
+    this.root = options.path || path.dirname(require.resolve('caniuse-lite/package.json'));
+    this.unpackFeature = null;
+  }
+
+  async getFeature(featureName) {
+    if (!/^[\w.-]+$/.test(featureName)) {
+      return null;
+    }
+
+    const featurePath = path.join(this.root, 'data', 'features', `${featureName}.js`);
+    if (!fs.existsSync(featurePath)) {
+      return null;
+    }
+
+    if (!this.unpackFeature) {
+      this.unpackFeature = require(path.join(this.root, 'dist', 'unpacker', 'feature.js'));
+    }
+
+    return this.unpackFeature(require(featurePath));
+  }
+
+  async getAgents() {
+    return require(path.join(this.root, 'dist', 'unpacker', 'agents.js')).agents;
+  }
+}
+
+const sourceTypes = {
+  'remote': RemoteDataSource,
+  'data-json': DataJsonSource,
+  'caniuse-lite': CaniuseLiteSource
+};
+
+export function createDataSources(sourceConfigs = [], projectPath = '.') {
+  return sourceConfigs.map(sourceConfig => {
+    const options = typeof sourceConfig === 'string' ? { type: sourceConfig } : { ...sourceConfig };
+    const SourceClass = sourceTypes[options.type];
+
+    if (!SourceClass) {
+      throw new Error(`Unknown data source type: ${options.type} (expected one of: ${Object.keys(sourceTypes).join(', ')})`);
+    }
+
+    if (options.path) {
+      options.path = path.resolve(projectPath, options.path);
+    }
+
+    return new SourceClass(options);
+  });
+}
@@ -1,30 +1,68 @@
+import { extname } from 'path';
 import { CanIUseClient } from './caniuse-client.js';
 import { ProjectScanner } from './project-scanner.js';
 import { ConfigManager } from './config-manager.js';
+import { UsageData } from './usage-data.js';
+import { TranspilerConfig, editionRank } from './transpiler-config.js';
+
+// Module loading is down to the bundler: neither transpiled syntax nor polyfillable
+const MODULE_FEATURES = ['es6-module', 'es6-module-dynamic-import'];
 
 export class EnhancedCompatibilityChecker {
   constructor(projectPath = '.') {
     this.client = new CanIUseClient(projectPath);
     this.scanner = new ProjectScanner();
     this.configManager = new ConfigManager(projectPath);
+    this.usageData = new UsageData(this.client);
+    this.transpilerConfig = new TranspilerConfig();
   }
 
   async checkProjectCompatibility(projectPath, options = {}) {
     const config = await this.configManager.loadConfig();
     const {
-      targets = [config.defaultBaseline],
       scanOptions = {},
       includeRecommendations = true
     } = options;
+    const usage = options.usage || await this.configManager.getDefaultUsage();
+
+    // Without explicit targets, fall back to the project's browserslist config,
+    // then the browsers covering the configured audience, then the baseline
+    let targets = options.targets;
+    let targetSource = 'arguments';
+    if (!targets || targets.length === 0) {
+      const projectQuery = this.configManager.getProjectBrowserslist(projectPath);
+      const audienceQuery = projectQuery ? null : await this.configManager.getAudienceQuery();
+      if (projectQuery) {
+        targets = [projectQuery];
+        targetSource = 'browserslist';
+      } else if (audienceQuery) {
+        targets = [audienceQuery];
+        targetSource = 'usage-audience';
+      } else {
+        targets = [config.defaultBaseline];
+        targetSource = 'default-baseline';
+      }
+    }
 
-    // Scan project for features
-    const scanResult = await this.scanner.scanDirectory(projectPath, scanOptions);
+    // Scan project for features, noting which per-path config section each file falls under
+    const resolveScope = await this.configManager.getScopeResolver();
+    const scanResult = await this.scanner.scanDirectory(projectPath, {
+      detectPolyfills: config.detectPolyfills !== false,
+      ...scanOptions,
+      resolveScope
+    });
     
     if (scanResult.featuresArray.length === 0) {
       return {
         status: 'no-features-detected',
-        message: 'No detectable CSS/JS features found in project',
+        message: scanResult.git
+          ? `No detectable CSS/JS features on the changed lines of ${scanResult.summary.changedFiles} changed file(s)`
+          : scanResult.bundle
+            ? `No detectable CSS/JS features in ${scanResult.bundle.bundles} bundle(s) under ${scanResult.bundle.dir}`
+            : 'No detectable CSS/JS features found in project',
         scannedFiles: scanResult.summary.totalFiles,
+        ...(scanResult.git && { incremental: { ...scanResult.git, changedFiles: scanResult.summary.changedFiles } }),
+        suppressedDetails: scanResult.suppressed,
         suggestions: [
           'Ensure files have supported extensions (.js, .jsx, .css, etc.)',
           'Check if files contain recognizable feature patterns',
@@ -33,54 +71,211 @@ export class EnhancedCompatibilityChecker {
       };
     }
 
+    // Features used under a per-path section are checked against that section's
+    // targets, polyfills and overrides, reported as "<target> (<section>)"
+    const groups = resolveScope
+      ? this._groupByScope(scanResult, await this.configManager.getPathScopes(), targets)
+      : [{ name: 'default', scope: null, targets, features: scanResult.featuresArray }];
+
+    // Polyfills imported from entry points count as loaded, on top of the
+    // configured ones, in the sections whose files those entry points load;
+    // syntax the transpiler rewrites counts as supported
+    const imported = (scanResult.polyfills?.detected || []).filter(entry => entry.imported);
+    const transpilation = await this._analyzeTranspilation(projectPath, scanResult);
+    const forCheck = scope => ({
+      ...scope,
+      polyfills: [
+        ...(scope?.polyfills || []),
+        ...imported.filter(entry => !entry.scopes || entry.scopes.includes(scope?.name ?? null)).map(entry => entry.polyfill)
+      ],
+      transpiled: transpilation.transpiled
+    });
+
     // Check compatibility for all detected features across all targets
     const compatibilityResults = {};
     
-    for (const target of targets) {
-      try {
-        const results = await this._checkFeaturesForTarget(scanResult.featuresArray, target);
-        const browserConfig = await this.configManager.resolveTargetVersion(target);
-        
-        compatibilityResults[target] = {
-          ...results,
-          browserInfo: browserConfig
-        };
-      } catch (error) {
-        console.warn(`Error checking target ${target}: ${error.message}`);
-        compatibilityResults[target] = {
-          error: true,
-          message: error.message,
-          browserInfo: { browser: 'unknown', version: 'unknown' }
-        };
+    for (const group of groups) {
+      group.targetKeys = [];
+      for (const target of group.targets) {
+        const key = group.scope ? `${target} (${group.name})` : target;
+        group.targetKeys.push(key);
+        try {
+          compatibilityResults[key] = await this._checkTarget(group.features, target, forCheck(group.scope));
+        } catch (error) {
+          console.warn(`Error checking target ${key}: ${error.message}`);
+          compatibilityResults[key] = {
+            error: true,
+            message: error.message,
+            browserInfo: { browser: 'unknown', version: 'unknown' }
+          };
+        }
       }
     }
 
-    const summary = this._generateCompatibilitySummary(compatibilityResults, targets);
+    const targetKeys = groups.flatMap(group => group.targetKeys);
+    const summary = this._generateCompatibilitySummary(compatibilityResults, targetKeys);
+    if (usage && usage !== 'none') {
+      await this._applyUsageWeighting(summary, compatibilityResults, targetKeys, usage);
+    }
+    const transpilationSummary = this._summarizeTranspilation(transpilation, compatibilityResults);
+    // Polyfills listed in any config section count as configured
+    const configuredPolyfills = [...new Set([
+      ...config.polyfills,
+      ...(await this.configManager.getPathScopes()).flatMap(scope => scope.polyfills)
+    ])];
     
     return {
       projectScan: {
         totalFiles: scanResult.summary.totalFiles,
         jsFiles: scanResult.summary.jsFiles,
         cssFiles: scanResult.summary.cssFiles,
-        featuresDetected: scanResult.featuresArray.length
+        featuresDetected: scanResult.featuresArray.length,
+        ...(scanResult.git && { incremental: { ...scanResult.git, changedFiles: scanResult.summary.changedFiles } }),
+        ...(scanResult.bundle && { bundle: scanResult.bundle })
       },
+      targets,
+      targetSource,
       features: scanResult.featuresArray,
       featureDetails: scanResult.features,
+      suppressedDetails: scanResult.suppressed,
       compatibility: compatibilityResults,
+      ...(resolveScope && {
+        scopes: this._summarizeScopes(groups, summary),
+        fileScopes: scanResult.fileScopes
+      }),
+      ...(scanResult.polyfills && {
+        polyfills: {
+          ...scanResult.polyfills,
+          discrepancies: this.scanner.polyfillDetector.compare(scanResult.polyfills, configuredPolyfills)
+        }
+      }),
+      transpilation: transpilationSummary,
       summary,
-      recommendations: includeRecommendations ? this._generateRecommendations(summary, scanResult) : null,
+      recommendations: includeRecommendations ? this._generateRecommendations(summary, scanResult, transpilationSummary) : null,
       nextSteps: this._generateNextSteps(summary)
     };
   }
 
+  // One group per config section in use (plus "default" for files outside
+  // every section), in config order
+  _groupByScope(scanResult, scopes, defaultTargets) {
+    const groups = new Map();
+    for (const [feature, occurrences] of scanResult.features) {
+      for (const occurrence of occurrences) {
+        const name = occurrence.scope ?? 'default';
+        if (!groups.has(name)) {
+          const scope = scopes.find(candidate => candidate.name === occurrence.scope) || null;
+          groups.set(name, { name, scope, targets: scope?.targets || defaultTargets, features: [], files: new Set() });
+        }
+        const group = groups.get(name);
+        if (!group.features.includes(feature)) group.features.push(feature);
+        group.files.add(occurrence.file);
+      }
+    }
+
+    const order = name => name === 'default' ? -1 : scopes.findIndex(scope => scope.name === name);
+    return [...groups.values()].sort((a, b) => order(a.name) - order(b.name));
+  }
+
+  // Syntax features the project's Babel/TypeScript setup rewrites before they
+  // reach the browser: every file using one must be compiled by a tool that
+  // transforms it. Other JavaScript features and APIs are left to polyfills.
+  async _analyzeTranspilation(projectPath, scanResult) {
+    // Bundles are already compiled: what the scan finds there is what ships
+    const tools = scanResult.bundle ? [] : await this.transpilerConfig.load(projectPath);
+    const transpiled = new Map();
+    const syntax = [];
+    const runtime = [];
+
+    for (const [feature, occurrences] of scanResult.features) {
+      const entry = this.client.registry.get(feature);
+      if (MODULE_FEATURES.includes(feature)) continue;
+      if (!entry?.syntax) {
+        if (entry?.category === 'js' || entry?.category === 'api') runtime.push(feature);
+        continue;
+      }
+
+      syntax.push(feature);
+      const transforming = [];
+      for (const tool of tools) {
+        if (await this._transpiles(tool, entry)) transforming.push(tool);
+      }
+      const compiledBy = file => transforming.find(tool => tool.extensions.includes(extname(file)));
+      if (transforming.length > 0 && occurrences.every(occurrence => compiledBy(occurrence.file))) {
+        const { tool, file } = compiledBy(occurrences[0].file);
+        transpiled.set(feature, { tool, file });
+      }
+    }
+
+    return { tools, transpiled, syntax, runtime, bundle: Boolean(scanResult.bundle) };
+  }
+
+  // TypeScript rewrites syntax newer than its target; preset-env rewrites
+  // whatever any of its targets lacks (everything, without targets)
+  async _transpiles(tool, entry) {
+    if (tool.tool === 'typescript') {
+      return editionRank(entry.syntax) > editionRank(tool.edition);
+    }
+    if (!tool.targets) return true;
+
+    if (!tool.browsers) {
+      try {
+        tool.browsers = (await this.configManager.expandTarget(tool.targets)).resolved;
+      } catch (error) {
+        console.warn(`Could not resolve ${tool.file} targets "${tool.targets}": ${error.message}`);
+        tool.browsers = [];
+      }
+    }
+    for (const { browser, version } of tool.browsers) {
+      const support = await this.client.getFeatureSupportWithConfig(entry.id, browser, version);
+      if (!support.supported && support.type !== 'error' && support.type !== 'version-unknown') return true;
+    }
+    return false;
+  }
+
+  // Unsupported features split into syntax left as written and runtime
+  // features, which no transpiler adds
+  _summarizeTranspilation({ tools, transpiled, syntax, runtime, bundle }, compatibilityResults) {
+    const unsupported = new Set(Object.values(compatibilityResults).flatMap(result => result.unsupportedFeatures || []));
+    return {
+      ...(bundle && { bundle }),
+      tools: tools.map(({ tool, file, targets, target }) => ({
+        tool,
+        file,
+        ...(tool === 'babel' ? { targets } : { target })
+      })),
+      transpiled: [...transpiled].map(([feature, by]) => ({ feature, ...by })),
+      untranspiledSyntax: syntax.filter(feature => !transpiled.has(feature) && unsupported.has(feature)),
+      runtime: runtime.filter(feature => unsupported.has(feature))
+    };
+  }
+
+  _summarizeScopes(groups, summary) {
+    return Object.fromEntries(groups.map(group => {
+      const scores = group.targetKeys.map(key => summary.targets[key]?.score).filter(score => score !== undefined);
+      const issues = [...new Set(group.targetKeys.flatMap(key => summary.targets[key]?.issues || []))];
+      return [group.name, {
+        pattern: group.scope ? group.name : null,
+        targets: group.targets,
+        targetKeys: group.targetKeys,
+        files: group.files.size,
+        features: group.features,
+        polyfills: group.scope?.polyfills || [],
+        score: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+        issues
+      }];
+    }));
+  }
+
   async checkSpecificFeatures(features, options = {}) {
     const config = await this.configManager.loadConfig();
     const { targets = [config.defaultBaseline] } = options;
+    const usage = options.usage || await this.configManager.getDefaultUsage();
     const results = {};
     
     for (const target of targets) {
       try {
-        results[target] = await this._checkFeaturesForTarget(features, target);
+        results[target] = await this._checkTarget(features, target);
       } catch (error) {
         console.warn(`Error checking target ${target}: ${error.message}`);
         results[target] = {
@@ -94,18 +289,124 @@ export class EnhancedCompatibilityChecker {
       }
     }
     
+    const summary = this._generateCompatibilitySummary(results, targets);
+    if (usage && usage !== 'none') {
+      await this._applyUsageWeighting(summary, results, targets, usage);
+    }
+
     return {
       features,
       compatibility: results,
-      summary: this._generateCompatibilitySummary(results, targets)
+      summary
     };
   }
 
-  async _checkFeaturesForTarget(features, targetString) {
+  async _checkTarget(features, targetString, scope = null) {
+    const expansion = await this.configManager.expandTarget(targetString);
+
+    if (!expansion.query) {
+      const { browser, version } = expansion.resolved[0];
+      return {
+        ...(await this._checkFeaturesForTarget(features, targetString, scope)),
+        browserInfo: { browser, version }
+      };
+    }
+
+    if (expansion.resolved.length === 0) {
+      throw new Error(`Browserslist query "${targetString}" did not match any browsers`);
+    }
+
+    // Check each resolved browser in turn so feature data is fetched once and then cached
+    const browserResults = {};
+    for (const resolved of expansion.resolved) {
+      browserResults[resolved.target] = {
+        ...(await this._checkFeaturesForTarget(features, resolved.target, scope)),
+        browserInfo: { browser: resolved.browser, version: resolved.version }
+      };
+    }
+
+    return this._aggregateQueryResults(features, targetString, browserResults);
+  }
+
+  // A feature passes a query only if every browser the query selects supports
+  // it. Browsers without support data are listed (errorIn) but don't decide the
+  // verdict unless none of the browsers has data.
+  _aggregateQueryResults(features, query, browserResults) {
+    const browserTargets = Object.keys(browserResults);
+
+    const details = features.map(feature => {
+      const perBrowser = browserTargets.map(target => ({
+        target,
+        ...browserResults[target].details.find(d => d.feature === feature)
+      }));
+      const unsupportedIn = perBrowser.filter(r => !r.supported && !r.error).map(r => r.target);
+      const errorIn = perBrowser.filter(r => r.error).map(r => r.target);
+      const partialIn = perBrowser.filter(r => r.status === 'partial').map(r => r.target);
+
+      const checked = perBrowser.length - errorIn.length;
+      const noData = errorIn.length > 0 ? ` (no data for ${errorIn.join(', ')})` : '';
+
+      let status = 'full';
+      if (unsupportedIn.length > 0) {
+        status = unsupportedIn.length === checked ? 'none' : 'mixed';
+      } else if (checked === 0) {
+        status = 'error';
+      } else if (partialIn.length > 0) {
+        status = 'partial';
+      }
+
+      return {
+        feature,
+        supported: unsupportedIn.length === 0 && checked > 0,
+        status,
+        description: checked === 0
+          ? `No support data for any of the ${perBrowser.length} browsers`
+          : unsupportedIn.length > 0
+            ? `Unsupported in ${unsupportedIn.length} of ${checked} browsers${noData}`
+            : `Supported in ${checked === perBrowser.length ? 'all ' : ''}${checked} browsers${noData}`,
+        source: perBrowser.every(r => r.source === 'polyfill') ? 'polyfill'
+          : perBrowser.every(r => r.source === 'transpiler') ? 'transpiler'
+          : perBrowser.every(r => r.source === 'config-override') ? 'config-override'
+          : 'caniuse-data',
+        unsupportedIn,
+        partialIn,
+        errorIn,
+        error: checked === 0
+      };
+    });
+
+    const supported = details.filter(r => r.supported);
+    const unsupported = details.filter(r => !r.supported && !r.error);
+    const errors = details.filter(r => r.error);
+    const polyfilled = details.filter(r => r.source === 'polyfill');
+    const transpiled = details.filter(r => r.source === 'transpiler');
+    const overridden = details.filter(r => r.source === 'config-override');
+
+    return {
+      total: details.length,
+      supported: supported.length,
+      unsupported: unsupported.length,
+      errors: errors.length,
+      polyfilled: polyfilled.length,
+      transpiled: transpiled.length,
+      overridden: overridden.length,
+      supportedFeatures: supported.map(r => r.feature),
+      unsupportedFeatures: unsupported.map(r => r.feature),
+      errorFeatures: errors.map(r => r.feature),
+      polyfilledFeatures: polyfilled.map(r => r.feature),
+      transpiledFeatures: transpiled.map(r => r.feature),
+      overriddenFeatures: overridden.map(r => r.feature),
+      details,
+      browserInfo: { query, browsers: browserTargets },
+      resolvedTargets: browserResults
+    };
+  }
+
+  async _checkFeaturesForTarget(features, targetString, scope = null) {
     const results = await Promise.all(
       features.map(async (feature) => {
         try {
-          const result = await this.client.checkFeatureSupportForTarget(feature, targetString);
+          const result = await this.client.checkFeatureSupportForTarget(feature, targetString, scope);
           
           return {
             feature,
@@ -113,8 +414,20 @@ export class EnhancedCompatibilityChecker {
             status: result.type,
             description: result.description,
             source: result.source,
+            dataSource: result.dataSource,
+            dataset: result.dataset,
+            datasets: result.datasets,
+            conflict: result.conflict,
             rawValue: result.rawValue,
-            originalSupport: result.originalSupport // For polyfilled features
+            resolvedVersion: result.resolvedVersion,
+            versionFallback: result.versionFallback,
+            flags: result.flags,
+            notes: result.notes,
+            bugs: result.bugs,
+            originalSupport: result.originalSupport, // For polyfilled features
+            polyfill: result.polyfill,
+            // Unknown versions are reported with errors rather than counted as unsupported
+            error: result.type === 'error' || result.type === 'version-unknown'
           };
         } catch (error) {
           return {
@@ -133,6 +446,7 @@ export class EnhancedCompatibilityChecker {
     const unsupported = results.filter(r => !r.supported && !r.error);
     const errors = results.filter(r => r.error);
     const polyfilled = results.filter(r => r.source === 'polyfill');
+    const transpiled = results.filter(r => r.source === 'transpiler');
     const overridden = results.filter(r => r.source === 'config-override');
     
     return {
@@ -141,11 +455,13 @@ export class EnhancedCompatibilityChecker {
       unsupported: unsupported.length,
       errors: errors.length,
       polyfilled: polyfilled.length,
+      transpiled: transpiled.length,
       overridden: overridden.length,
       supportedFeatures: supported.map(r => r.feature),
       unsupportedFeatures: unsupported.map(r => r.feature),
       errorFeatures: errors.map(r => r.feature),
       polyfilledFeatures: polyfilled.map(r => r.feature),
+      transpiledFeatures: transpiled.map(r => r.feature),
       overriddenFeatures: overridden.map(r => r.feature),
       details: results
     };
@@ -171,14 +487,28 @@ export class EnhancedCompatibilityChecker {
         score,
         supported: result.supported,
         unsupported: result.unsupported,
-        issues: result.unsupportedFeatures
+        issues: result.unsupportedFeatures || [],
+        // Features with no support data for the target, counted as neither
+        unchecked: result.errorFeatures || []
       };
+
+      if (result.resolvedTargets) {
+        summary.targets[target].browsers = Object.fromEntries(
+          Object.entries(result.resolvedTargets).map(([browserTarget, browserResult]) => [
+            browserTarget,
+            {
+              score: browserResult.total > 0 ? Math.round((browserResult.supported / browserResult.total) * 100) : 100,
+              issues: browserResult.unsupportedFeatures
+            }
+          ])
+        );
+      }
       
-      totalSupported += result.supported;
-      totalFeatures += result.total;
+      totalSupported += result.supported || 0;
+      totalFeatures += result.total || 0;
       
       // Track features unsupported in this target
-      result.unsupportedFeatures.forEach(feature => {
+      (result.unsupportedFeatures || []).forEach(feature => {
         const existing = summary.criticalIssues.find(issue => issue.feature === feature);
         if (existing) {
           existing.targets.push(target);
@@ -201,7 +531,75 @@ export class EnhancedCompatibilityChecker {
     return summary;
   }
 
-  _generateRecommendations(summary, scanResult) {
+  // Replaces feature-count scores with the share of users who can run every
+  // feature, weighting each checked browser version by its usage in the region
+  async _applyUsageWeighting(summary, compatibilityResults, targets, region) {
+    const round = value => Math.round(value * 100) / 100;
+    const checked = new Map();
+    const byTarget = {};
+
+    for (const target of targets) {
+      const result = compatibilityResults[target];
+      if (!result || result.error) continue;
+
+      const browserResults = result.resolvedTargets
+        ? Object.values(result.resolvedTargets)
+        : [result];
+      let targetedUsers = 0;
+      let usersCovered = 0;
+
+      for (const browserResult of browserResults) {
+        const { browser, version } = browserResult.browserInfo;
+        const share = await this.usageData.getUsage(browser, version, region);
+        const blocked = browserResult.details.filter(d => !d.supported || d.error).map(d => d.feature);
+
+        targetedUsers += share;
+        if (blocked.length === 0) usersCovered += share;
+        // Targets can overlap (e.g. two queries selecting the same release)
+        checked.set(`${browser} ${version}`, { share, blocked });
+      }
+
+      byTarget[target] = {
+        targetedUsers: round(targetedUsers),
+        usersCovered: round(usersCovered),
+        score: targetedUsers > 0 ? Math.round((usersCovered / targetedUsers) * 100) : null
+      };
+      // Kept apart from the support score, which stays the share of features supported
+      if (summary.targets[target] && byTarget[target].score !== null) {
+        summary.targets[target].weightedScore = byTarget[target].score;
+      }
+    }
+
+    let targetedUsers = 0;
+    let usersCovered = 0;
+    const impact = new Map();
+    for (const [browserTarget, { share, blocked }] of checked) {
+      targetedUsers += share;
+      if (blocked.length === 0) usersCovered += share;
+      for (const feature of blocked) {
+        const entry = impact.get(feature) || { feature, usersAffected: 0, browsers: [] };
+        entry.usersAffected += share;
+        entry.browsers.push(browserTarget);
+        impact.set(feature, entry);
+      }
+    }
+
+    if (targetedUsers > 0) {
+      summary.weightedScore = Math.round((usersCovered / targetedUsers) * 100);
+    }
+    summary.usage = {
+      region,
+      targetedUsers: round(targetedUsers),
+      usersCovered: round(usersCovered),
+      message: `${round(usersCovered)}% of ${region === 'custom' ? 'your' : region} users can run every feature (${round(targetedUsers)}% use the targeted browsers)`,
+      byTarget,
+      featureImpact: [...impact.values()]
+        .map(entry => ({ ...entry, usersAffected: round(entry.usersAffected) }))
+        .sort((a, b) => b.usersAffected - a.usersAffected)
+    };
+  }
+
+  _generateRecommendations(summary, scanResult, transpilation = null) {
     const recommendations = [];
     
     // Overall score recommendations
@@ -241,6 +639,32 @@ export class EnhancedCompatibilityChecker {
         action: 'Add vendor prefixes and fallback implementations'
       });
     }
+
+    // Unsupported syntax can be compiled away; runtime features need polyfills
+    if (transpilation) {
+      const { untranspiledSyntax, runtime } = transpilation;
+      if (untranspiledSyntax.length > 0) {
+        const tools = transpilation.tools.map(tool => `${tool.tool} (${tool.file})`).join(', ');
+        let message = `No Babel or TypeScript config compiles these: ${untranspiledSyntax.join(', ')}`;
+        let action = 'Compile with @babel/preset-env using your browser targets';
+        if (transpilation.bundle) {
+          message = `Shipped in the bundles as written: ${untranspiledSyntax.join(', ')}`;
+          action = 'Check where they come from; Babel setups often skip node_modules, so dependencies may need to be included in transpilation';
+        } else if (tools) {
+          message = `Left as written by ${tools}: ${untranspiledSyntax.join(', ')}`;
+          action = 'Add the failing browsers to the transpiler targets (preset-env targets or browserslist), or lower the TypeScript target';
+        }
+        recommendations.push({ type: 'warning', title: 'Syntax Not Transpiled', message, action });
+      }
+      if (runtime.length > 0) {
+        recommendations.push({
+          type: 'warning',
+          title: 'Runtime Features Need Polyfills',
+          message: `Transpilers don't add these APIs: ${runtime.join(', ')}`,
+          action: 'Load polyfills for them (e.g. core-js) and list them in polyfills'
+        });
+      }
+    }
     
     return recommendations;
   }
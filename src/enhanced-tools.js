@@ -1,33 +1,87 @@
+import path from 'path';
 import { EnhancedCompatibilityChecker } from './enhanced-compatibility-checker.js';
 import { FixGenerator } from './fix-generator.js';
 import { ProjectScanner } from './project-scanner.js';
 import { ConfigManager } from './config-manager.js';
+import { FeatureCache } from './feature-cache.js';
+import { FeatureRegistry } from './feature-registry.js';
+import { MinVersionFinder } from './min-version-finder.js';
+import { SarifFormatter } from './sarif-formatter.js';
+import { BaselineSnapshot } from './baseline-snapshot.js';
 
 const compatibilityChecker = new EnhancedCompatibilityChecker();
 const fixGenerator = new FixGenerator();
 const projectScanner = new ProjectScanner();
 const configManager = new ConfigManager();
+const featureRegistry = new FeatureRegistry();
+const minVersionFinder = new MinVersionFinder(compatibilityChecker.client);
+const sarifFormatter = new SarifFormatter(fixGenerator);
+const baselineSnapshot = new BaselineSnapshot();
 
 
 
 export async function handleScanProject(args) {
   const {
     projectPath = '.',
-    targets = ['chrome-37'],
+    targets,
     maxDepth = 5,
-    excludeDirs = ['node_modules', '.git', 'dist', 'build']
+    excludeDirs = ['node_modules', '.git', 'dist', 'build'],
+    usage,
+    format = 'json',
+    baselineFile,
+    updateBaseline = false,
+    changedSince,
+    staged = false,
+    bundleDir
   } = args;
 
+  // An incremental scan only sees the diff, so it can't stand in for the whole project
+  if ((changedSince || staged) && (baselineFile || updateBaseline)) {
+    throw new Error('Baselines need a full scan; drop changedSince/staged when writing or comparing a baseline');
+  }
+  if (bundleDir && (changedSince || staged)) {
+    throw new Error('Bundles are scanned whole; drop changedSince/staged when scanning bundleDir');
+  }
+
   const scanOptions = {
     maxDepth,
-    excludeDirs
+    excludeDirs,
+    changedSince,
+    staged,
+    bundleDir
   };
 
   const result = await compatibilityChecker.checkProjectCompatibility(
     projectPath, 
-    { targets, scanOptions, includeRecommendations: true }
+    { targets, scanOptions, includeRecommendations: true, usage }
   );
 
+  // Write the scan as the new baseline, or judge it against the stored one
+  let baseline;
+  if (updateBaseline || baselineFile) {
+    const file = baselineFile || path.join(projectPath, '.caniuse-baseline.json');
+    const snapshot = baselineSnapshot.create(result, projectPath);
+    if (updateBaseline) {
+      await baselineSnapshot.write(file, snapshot);
+      baseline = {
+        file,
+        written: true,
+        features: Object.keys(snapshot.features).length,
+        message: `Baseline written to ${file}; scans compared against it only report what changed`
+      };
+    } else {
+      baseline = { file, ...baselineSnapshot.compare(await baselineSnapshot.read(file), snapshot) };
+    }
+  }
+
+  if (format === 'sarif') {
+    const sarif = sarifFormatter.format(result, projectPath);
+    if (baseline) {
+      sarif.runs[0].properties.baseline = baseline;
+    }
+    return sarif;
+  }
+
   // Format for better UX
   return {
     status: result.status || 'completed',
@@ -36,14 +90,26 @@ export async function handleScanProject(args) {
       scanned: `${result.projectScan?.totalFiles || 0} files`,
       jsFiles: result.projectScan?.jsFiles || 0,
       cssFiles: result.projectScan?.cssFiles || 0,
-      featuresDetected: result.features?.length || 0
+      featuresDetected: result.features?.length || 0,
+      ...((result.projectScan?.incremental || result.incremental) && {
+        incremental: result.projectScan?.incremental || result.incremental
+      }),
+      ...(result.projectScan?.bundle && { bundle: result.projectScan.bundle })
     },
     compatibility: {
       targets: Object.keys(result.compatibility || {}),
-      overallScore: result.summary?.overallScore || 100,
+      targetSource: result.targetSource,
+      overallScore: result.summary?.overallScore ?? 100,
+      ...(result.summary?.weightedScore !== undefined && { weightedScore: result.summary.weightedScore }),
+      ...(result.summary?.usage && { usage: result.summary.usage }),
       criticalIssues: result.summary?.criticalIssues?.length || 0,
-      commonUnsupported: result.summary?.commonUnsupported || []
+      commonUnsupported: result.summary?.commonUnsupported || [],
+      ...(result.scopes && { scopes: result.scopes })
     },
+    ...(result.transpilation && { transpilation: result.transpilation }),
+    ...(result.polyfills && { polyfills: result.polyfills }),
+    ...(baseline && { baseline }),
+    suppressed: summarizeSuppressed(result.suppressedDetails),
     recommendations: result.recommendations || [],
     nextSteps: result.nextSteps || [],
     detailedResults: {
@@ -54,8 +120,36 @@ export async function handleScanProject(args) {
   };
 }
 
+// Occurrences left out of the check: behind a feature test (@supports,
+// 'X' in window, ...) or covered by a caniuse-ignore comment
+function summarizeSuppressed(suppressedDetails = new Map()) {
+  const occurrences = [];
+  for (const [feature, fileEntries] of suppressedDetails) {
+    for (const { file, matches } of fileEntries) {
+      for (const match of matches) {
+        const { type, ...by } = match.suppressedBy;
+        occurrences.push({
+          feature,
+          file,
+          line: match.line,
+          ...(match.column && { column: match.column }),
+          reason: type === 'guard' ? 'progressive-enhancement' : 'ignored',
+          ...by
+        });
+      }
+    }
+  }
+
+  return {
+    total: occurrences.length,
+    progressivelyEnhanced: occurrences.filter(o => o.reason === 'progressive-enhancement').length,
+    ignored: occurrences.filter(o => o.reason === 'ignored').length,
+    occurrences
+  };
+}
+
 export async function handleCheckCompatibility(args) {
-  const { features, files, targets = ['chrome-37'] } = args;
+  const { features, files, targets = ['chrome-37'], usage } = args;
 
   let featuresToCheck = features || [];
 
@@ -66,25 +160,42 @@ export async function handleCheckCompatibility(args) {
     featuresToCheck = [...new Set([...featuresToCheck, ...detectedFeatures])];
   }
 
+  // Map aliases (e.g. "spread-syntax") to canonical IDs; names nobody recognizes
+  // are reported instead of checked, so they don't count against the score
+  const validation = featureRegistry.validate(featuresToCheck);
+  featuresToCheck = validation.features.filter(f => !validation.unknown.some(u => u.input === f));
+  const unknownFeatures = validation.unknown.map(u => ({
+    feature: u.input,
+    suggestions: u.suggestions,
+    message: u.suggestions.length > 0
+      ? `Unknown feature "${u.input}". Did you mean: ${u.suggestions.join(', ')}?`
+      : `Unknown feature "${u.input}". Check the ID on caniuse.com or MDN browser-compat-data.`
+  }));
+
   if (featuresToCheck.length === 0) {
     return {
       status: 'no-features',
-      message: 'No features specified or detected in files',
+      message: unknownFeatures.length > 0 ? 'None of the given features are known' : 'No features specified or detected in files',
+      unknownFeatures,
       suggestion: 'Either provide specific features to check, or use scan_project to auto-detect features',
       availableTargets: compatibilityChecker.getSupportedBrowserTargets()
     };
   }
 
-  const result = await compatibilityChecker.checkSpecificFeatures(featuresToCheck, { targets });
+  const result = await compatibilityChecker.checkSpecificFeatures(featuresToCheck, { targets, usage });
 
   return {
     features: featuresToCheck,
     targets,
+    aliasesResolved: validation.resolved.filter(r => r.aliased).map(r => ({ input: r.input, feature: r.feature })),
+    unknownFeatures,
     compatibility: result.compatibility,
     summary: {
       overallScore: result.summary.overallScore,
+      ...(result.summary.weightedScore !== undefined && { weightedScore: result.summary.weightedScore }),
       byTarget: result.summary.targets,
-      unsupportedFeatures: result.summary.commonUnsupported
+      unsupportedFeatures: result.summary.commonUnsupported,
+      ...(result.summary.usage && { usage: result.summary.usage })
     },
     recommendations: result.summary.commonUnsupported.length > 0 
       ? [`Use get_fixes tool with features: ${result.summary.commonUnsupported.slice(0, 5).join(', ')}`]
@@ -93,6 +204,56 @@ export async function handleCheckCompatibility(args) {
   };
 }
 
+export async function handleGetMinVersions(args) {
+  const {
+    features,
+    projectPath = '.',
+    browsers,
+    minimumSupport = 'full',
+    maxDepth = 5,
+    excludeDirs = ['node_modules', '.git', 'dist', 'build']
+  } = args;
+
+  let featuresToCheck = features || [];
+  let featureSource = 'arguments';
+  let unknownFeatures = [];
+
+  if (featuresToCheck.length > 0) {
+    const validation = featureRegistry.validate(featuresToCheck);
+    featuresToCheck = validation.features.filter(f => !validation.unknown.some(u => u.input === f));
+    unknownFeatures = validation.unknown.map(u => ({ feature: u.input, suggestions: u.suggestions }));
+  } else {
+    const scanResult = await projectScanner.scanDirectory(projectPath, { maxDepth, excludeDirs, detectPolyfills: false });
+    featuresToCheck = scanResult.featuresArray;
+    featureSource = 'scan';
+  }
+
+  if (featuresToCheck.length === 0) {
+    return {
+      status: 'no-features',
+      message: featureSource === 'scan' ? `No detectable CSS/JS features found in ${projectPath}` : 'None of the given features are known',
+      unknownFeatures,
+      suggestion: 'Provide caniuse feature IDs, or point projectPath at a directory with CSS/JS sources'
+    };
+  }
+
+  const result = await minVersionFinder.findMinimumVersions(featuresToCheck, { browsers, minimumSupport });
+
+  return {
+    featureSource,
+    features: featuresToCheck,
+    minimumSupport,
+    minimumVersions: Object.fromEntries(
+      Object.entries(result.browsers).map(([browser, r]) => [browser, r.minVersion])
+    ),
+    browsers: result.browsers,
+    browserslist: result.browserslist,
+    skipped: result.skipped,
+    unknownFeatures,
+    perFeature: result.features
+  };
+}
+
 export function handleGetFixes(args) {
   const { features, priority = 'all', includeExamples = true, includeCommands = true } = args;
 
@@ -193,10 +354,14 @@ export async function handleManageConfig(args) {
         return {
           action: 'view',
           currentConfig: {
+            ...(config.extends && { extends: config.extends }),
             defaultBaseline: config.defaultBaseline,
             polyfills: config.polyfills,
+            polyfillCoverage: await configManager.describePolyfills(),
             overrides: config.overrides,
-            customTargets: config.customTargets
+            customTargets: config.customTargets,
+            dataSources: config.dataSources,
+            usage: config.usage
           },
           availableTargets: Object.keys(targets),
           instructions: {
@@ -205,7 +370,9 @@ export async function handleManageConfig(args) {
             removePolyfill: 'Use action="remove_polyfill" with polyfill="css-grid"',
             setOverride: 'Use action="set_override" with feature="css-variables" and override="supported"',
             addTarget: 'Use action="add_target" with targetName="chrome-57", browser="chrome", version="57"',
-            createTemplate: 'Use action="create_template" to create .caniuse-config.json file'
+            createTemplate: 'Use action="create_template" to create .caniuse-config.json file',
+            validate: 'Use action="validate" to check .caniuse-config.json (and the presets it extends) for typos and invalid values',
+            cache: 'Use action="cache_info", "cache_prune" or "cache_clear" to manage the feature data cache'
           }
         };
 
@@ -294,9 +461,19 @@ export async function handleManageConfig(args) {
           ]
         };
 
+      case 'validate': {
+        const validation = await configManager.validateConfig();
+        return {
+          action: 'validate',
+          success: validation.valid,
+          ...validation
+        };
+      }
+
       case 'reset':
         // Reset to default configuration
         await configManager.updateConfig({
+          extends: undefined,
           defaultBaseline: 'chrome-37',
           customTargets: {},
           polyfills: [],
@@ -314,6 +491,36 @@ export async function handleManageConfig(args) {
           }
         };
 
+      case 'cache_info': {
+        const cache = FeatureCache.fromConfig(await configManager.loadConfig(), configManager.projectPath);
+        return {
+          action: 'cache_info',
+          cache: await cache.info()
+        };
+      }
+
+      case 'cache_prune': {
+        const cache = FeatureCache.fromConfig(await configManager.loadConfig(), configManager.projectPath);
+        const pruned = await cache.prune();
+        return {
+          action: 'cache_prune',
+          success: true,
+          message: `Removed ${pruned.removed.length} expired cache entries`,
+          removedFeatures: pruned.removed,
+          remainingEntries: pruned.remaining
+        };
+      }
+
+      case 'cache_clear': {
+        const cache = FeatureCache.fromConfig(await configManager.loadConfig(), configManager.projectPath);
+        const cleared = await cache.clear();
+        return {
+          action: 'cache_clear',
+          success: true,
+          message: `Removed ${cleared.removed} cache entries from ${cache.directory}`
+        };
+      }
+
       default:
         throw new Error(`Unknown config action: ${action}`);
     }
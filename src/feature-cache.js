@@ -0,0 +1,144 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const HOUR = 60 * 60 * 1000;
+// Cache files are named "<prefix><key>.json", so a cache directory shared
+// with other files (even the project itself) never lists or deletes them
+const ENTRY_PREFIX = 'caniuse-feature-';
+
+const isEntry = entry => entry !== null && typeof entry === 'object' &&
+  typeof entry.key === 'string' && typeof entry.timestamp === 'number' && 'data' in entry;
+
+// Disk-backed store for feature support data, one JSON file per feature
+export class FeatureCache {
+  constructor(options = {}) {
+    this.directory = options.directory || FeatureCache.getDefaultDirectory();
+    this.maxAge = (options.maxAgeHours ?? 24) * HOUR;
+    this.enabled = options.enabled !== false;
+  }
+
+  static getDefaultDirectory() {
+    const cacheRoot = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(cacheRoot, 'caniuse-mcp');
+  }
+
+  static fromConfig(config, projectPath = '.') {
+    const cacheConfig = config.cache || {};
+    let directory = cacheConfig.directory;
+
+    if (directory) {
+      directory = directory.startsWith('~')
+        ? path.join(os.homedir(), directory.slice(1))
+        : path.resolve(projectPath, directory);
+    }
+
+    return new FeatureCache({ ...cacheConfig, directory });
+  }
+
+  _entryPath(key) {
+    return path.join(this.directory, `${ENTRY_PREFIX}${key.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  async get(key) {
+    if (!this.enabled) return null;
+
+    try {
+      const content = await fs.promises.readFile(this._entryPath(key), 'utf8');
+      const entry = JSON.parse(content);
+      if (!isEntry(entry)) return null;
+      return {
+        ...entry,
+        stale: Date.now() - entry.timestamp >= this.maxAge
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, data, source) {
+    if (!this.enabled) return;
+
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      const entry = { key, source, timestamp: Date.now(), data };
+      // Write then rename so concurrent readers never see a partial file
+      const entryPath = this._entryPath(key);
+      const tempPath = `${entryPath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+      await fs.promises.rename(tempPath, entryPath);
+    } catch (error) {
+      console.warn(`Warning: Could not write cache entry for ${key}: ${error.message}`);
+    }
+  }
+
+  async _listEntries() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      return [];
+    }
+
+    // Unreadable files are reported but left alone: they may not be ours
+    const entries = [];
+    for (const file of files.filter(f => f.startsWith(ENTRY_PREFIX) && f.endsWith('.json'))) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const [content, stats] = await Promise.all([
+          fs.promises.readFile(filePath, 'utf8'),
+          fs.promises.stat(filePath)
+        ]);
+        const entry = JSON.parse(content);
+        if (!isEntry(entry)) throw new Error('not a cache entry');
+        entries.push({ filePath, key: entry.key, source: entry.source, timestamp: entry.timestamp, size: stats.size, corrupt: false });
+      } catch (error) {
+        entries.push({ filePath, key: file, corrupt: true, size: 0 });
+      }
+    }
+    return entries;
+  }
+
+  async info() {
+    const entries = await this._listEntries();
+    const now = Date.now();
+    const valid = entries.filter(e => !e.corrupt);
+    const stale = valid.filter(e => now - e.timestamp >= this.maxAge);
+    const timestamps = valid.map(e => e.timestamp);
+
+    return {
+      enabled: this.enabled,
+      directory: this.directory,
+      maxAgeHours: this.maxAge / HOUR,
+      entries: entries.length,
+      fresh: valid.length - stale.length,
+      stale: stale.length,
+      corrupt: entries.length - valid.length,
+      sizeBytes: entries.reduce((total, e) => total + e.size, 0),
+      oldest: timestamps.length > 0 ? new Date(Math.min(...timestamps)).toISOString() : null,
+      newest: timestamps.length > 0 ? new Date(Math.max(...timestamps)).toISOString() : null,
+      features: valid.map(e => e.key).sort()
+    };
+  }
+
+  async prune() {
+    const entries = await this._listEntries();
+    const now = Date.now();
+    const removed = [];
+
+    for (const entry of entries) {
+      if (!entry.corrupt && now - entry.timestamp >= this.maxAge) {
+        await fs.promises.rm(entry.filePath, { force: true });
+        removed.push(entry.key);
+      }
+    }
+
+    return { removed, remaining: entries.length - removed.length };
+  }
+
+  async clear() {
+    const entries = (await this._listEntries()).filter(entry => !entry.corrupt);
+    await Promise.all(entries.map(entry => fs.promises.rm(entry.filePath, { force: true })));
+    return { removed: entries.length };
+  }
+}
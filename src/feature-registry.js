@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { isBcdKey } from './bcd-client.js';
+
+const require = createRequire(import.meta.url);
+const registryData = JSON.parse(
+  fs.readFileSync(new URL('./data/feature-registry.json', import.meta.url), 'utf8')
+);
+
+let caniuseLiteIds = null;
+
+function getCaniuseLiteIds() {
+  if (!caniuseLiteIds) {
+    try {
+      const featuresDir = path.join(path.dirname(require.resolve('caniuse-lite/package.json')), 'data', 'features');
+      caniuseLiteIds = new Set(fs.readdirSync(featuresDir).map(file => file.replace(/\.js$/, '')));
+    } catch (error) {
+      caniuseLiteIds = new Set();
+    }
+  }
+  return caniuseLiteIds;
+}
+
+export function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Central list of feature IDs: maps scanner detection names, legacy names and
+// aliases to one canonical ID carrying its caniuse and MDN browser-compat-data keys.
+export class FeatureRegistry {
+  constructor(data = registryData) {
+    this.features = new Map();
+    this.lookup = new Map();
+
+    for (const entry of data.features) {
+      this.features.set(entry.id, entry);
+      for (const name of [entry.id, entry.bcd, ...(entry.aliases || [])]) {
+        if (name) {
+          this.lookup.set(name.toLowerCase(), entry);
+        }
+      }
+    }
+  }
+
+  get(featureId) {
+    return this.features.get(featureId) || null;
+  }
+
+  // Accepts a canonical ID, an alias or a BCD key
+  resolve(name) {
+    if (typeof name !== 'string') return null;
+    return this.lookup.get(name.trim().toLowerCase()) || null;
+  }
+
+  canonicalize(name) {
+    return this.resolve(name)?.id || name;
+  }
+
+  // Known to the registry, an ID the bundled caniuse data has or a browser-compat-data key
+  isKnown(name) {
+    return Boolean(this.resolve(name)) || getCaniuseLiteIds().has(name) || isBcdKey(name);
+  }
+
+  suggest(name, limit = 3) {
+    const needle = String(name).trim().toLowerCase();
+    const candidates = new Map();
+
+    const consider = (candidate, featureId) => {
+      const distance = candidate.includes(needle) || needle.includes(candidate)
+        ? Math.abs(candidate.length - needle.length) / 10
+        : editDistance(needle, candidate);
+      const best = candidates.get(featureId);
+      if (best === undefined || distance < best) {
+        candidates.set(featureId, distance);
+      }
+    };
+
+    for (const [candidate, entry] of this.lookup) {
+      consider(candidate, entry.id);
+    }
+    for (const caniuseId of getCaniuseLiteIds()) {
+      consider(caniuseId, caniuseId);
+    }
+
+    const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+    return [...candidates.entries()]
+      .filter(([, distance]) => distance <= maxDistance)
+      .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([featureId]) => featureId);
+  }
+
+  // Canonicalizes a list of user-supplied names, reporting the ones nobody knows
+  validate(names) {
+    const resolved = [];
+    const unknown = [];
+
+    for (const name of names) {
+      const entry = this.resolve(name);
+      if (entry) {
+        resolved.push({ input: name, feature: entry.id, aliased: entry.id !== name });
+      } else if (getCaniuseLiteIds().has(name) || isBcdKey(name)) {
+        resolved.push({ input: name, feature: name, aliased: false });
+      } else {
+        unknown.push({ input: name, suggestions: this.suggest(name) });
+      }
+    }
+
+    return {
+      features: [...new Set([...resolved.map(r => r.feature), ...unknown.map(u => u.input)])],
+      resolved,
+      unknown
+    };
+  }
+}
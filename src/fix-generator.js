@@ -1,5 +1,14 @@
+import fs from 'fs';
+import { FeatureRegistry } from './feature-registry.js';
+
+// Generated package.json files depend on the version of this server that wrote them
+const { version: packageVersion } = JSON.parse(
+  fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+);
+
 export class FixGenerator {
   constructor() {
+    this.registry = new FeatureRegistry();
     this.fixDatabase = {
       // CSS Fixes
       'css-grid': {
@@ -202,7 +211,7 @@ function fetchData(callback) {
     const { priority = 'all', includeExamples = true, includeCommands = true } = options;
     
     const fixes = features.map(feature => {
-      const fixInfo = this.fixDatabase[feature];
+      const fixInfo = this.fixDatabase[feature] || this.fixDatabase[this.registry.canonicalize(feature)];
       if (!fixInfo) {
         return {
           feature,
@@ -497,7 +506,7 @@ module.exports = {
         'build': 'webpack --mode production',
         'dev': 'webpack --mode development --watch',
         'babel': 'babel src --out-dir lib',
-        'compat-check': 'node -e "console.log(\'Run compatibility check with MCP server\')"'
+        'compat-check': 'caniuse-mcp-server scan .'
       }
     };
 
@@ -509,7 +518,8 @@ module.exports = {
         'webpack': '^5.0.0',
         'webpack-cli': '^4.0.0',
         'postcss': '^8.0.0',
-        'autoprefixer': '^10.0.0'
+        'autoprefixer': '^10.0.0',
+        'caniuse-mcp-server': `^${packageVersion}`
       };
     }
 
@@ -530,6 +540,9 @@ on: [push, pull_request]
 jobs:
   compatibility:
     runs-on: ubuntu-latest
+    permissions:
+      contents: read
+      security-events: write
     steps:
       - uses: actions/checkout@v3
       - name: Setup Node.js
@@ -540,10 +553,13 @@ jobs:
         run: npm ci
       - name: Build project
         run: npm run build
-      - name: Run compatibility tests
-        run: |
-          echo "Add browser compatibility testing here"
-          # Example: browserstack-runner or similar tool`
+      - name: Check browser compatibility
+        run: npx caniuse-mcp-server scan . --sarif > compatibility.sarif
+      - name: Upload compatibility results
+        if: always()
+        uses: github/codeql-action/upload-sarif@v3
+        with:
+          sarif_file: compatibility.sarif`
     };
   }
 
@@ -556,8 +572,8 @@ jobs:
 # Run compatibility check before commit
 echo "🔍 Checking browser compatibility..."
 
-# Add your MCP compatibility check here
-# Example: check if new CSS/JS features are compatible
+# Fails the commit when staged lines use features the configured targets don't support
+npx caniuse-mcp-server scan . --staged
 npm run lint
 npm run build`,
       setup: [
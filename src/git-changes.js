@@ -0,0 +1,120 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+// Git C-quotes names with unusual characters ("b/caf\303\251 \"x\".js"),
+// escaping control characters and, without core.quotepath=off, non-ASCII bytes
+function unquotePath(name) {
+  if (!name.startsWith('"') || !name.endsWith('"')) return name;
+  const chars = [...name.slice(1, -1)];
+  const bytes = [];
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i] !== '\\') {
+      bytes.push(...Buffer.from(chars[i]));
+    } else if (/^[0-7]{3}$/.test(chars.slice(i + 1, i + 4).join(''))) {
+      bytes.push(parseInt(chars.slice(i + 1, i + 4).join(''), 8));
+      i += 3;
+    } else {
+      bytes.push(ESCAPES[chars[i + 1]] ?? chars[i + 1].charCodeAt(0));
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// Lists the files (and the lines within them) changed in a local git
+// repository, either since a ref or in the index for pre-commit hooks.
+// Only runs local git commands - nothing is fetched.
+export class GitChanges {
+  constructor(cwd = '.') {
+    this.cwd = cwd;
+  }
+
+  // Returns { root, base, files: Map(absolute path -> Set of changed lines, or null for the whole file) }
+  async collect({ since, staged = false } = {}) {
+    if (since && staged) {
+      throw new Error('Use either changedSince or staged, not both');
+    }
+
+    const root = await this._getRoot();
+    const files = new Map();
+    let base = null;
+
+    if (staged) {
+      this._addHunks(files, root, await this._git(['diff', '--cached', ...this._diffFlags()]));
+    } else {
+      base = await this._getMergeBase(since);
+      // Working tree against the merge base: commits on this branch plus uncommitted edits
+      this._addHunks(files, root, await this._git(['diff', ...this._diffFlags(), base]));
+      const untracked = await this._git(['ls-files', '-z', '--others', '--exclude-standard', '--full-name'], root);
+      for (const file of untracked.split('\0').filter(Boolean)) {
+        files.set(path.join(root, file), null);
+      }
+    }
+
+    return { root, base, files };
+  }
+
+  // Staged content can differ from the working tree, so hooks must scan the index
+  async readStaged(filePath) {
+    const relative = path.relative(await this._getRoot(), filePath).split(path.sep).join('/');
+    return this._git(['show', `:${relative}`]);
+  }
+
+  async _getRoot() {
+    if (!this.root) {
+      try {
+        this.root = (await this._git(['rev-parse', '--show-toplevel'])).trim();
+      } catch (error) {
+        throw new Error(`${path.resolve(this.cwd)} is not inside a git repository`);
+      }
+    }
+    return this.root;
+  }
+
+  async _getMergeBase(ref) {
+    try {
+      return (await this._git(['merge-base', ref, 'HEAD'])).trim();
+    } catch (error) {
+      throw new Error(`Unknown git ref "${ref}" (or it shares no history with HEAD)`);
+    }
+  }
+
+  _diffFlags() {
+    return ['--no-color', '--no-ext-diff', '--unified=0', '--diff-filter=ACMR', '--src-prefix=a/', '--dst-prefix=b/'];
+  }
+
+  // "+++ b/src/app.js" names the file, "@@ -10,2 +12,3 @@" adds lines 12-14.
+  // Names containing spaces end in a tab; unusual characters are C-quoted.
+  _addHunks(files, root, diff) {
+    let current = null;
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('+++ ')) {
+        const name = unquotePath(line.slice(4).replace(/\t$/, ''));
+        current = name.startsWith('b/') ? path.join(root, name.slice(2)) : null;
+        if (current && !files.has(current)) files.set(current, new Set());
+        continue;
+      }
+
+      const hunk = current && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+      if (hunk) {
+        const start = Number(hunk[1]);
+        const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+        for (let i = 0; i < count; i++) {
+          files.get(current).add(start + i);
+        }
+      }
+    }
+  }
+
+  async _git(args, cwd = this.cwd) {
+    const { stdout } = await execFileAsync('git', ['-c', 'core.quotepath=off', ...args], {
+      cwd,
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return stdout;
+  }
+}
@@ -0,0 +1,412 @@
+import { parse } from '@babel/parser';
+import { WebApiDetector } from './web-api-detector.js';
+import { FeatureRegistry } from './feature-registry.js';
+import { createSuppression, parseSuppressionComment } from './suppressions.js';
+
+const FUNCTION_NODES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+
+const SKIPPED_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range',
+  'comments', 'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+// Parser-backed detection of JavaScript syntax features. Walks the Babel AST so
+// comments and strings never match, and records every occurrence with its location.
+export class JsFeatureDetector {
+  constructor() {
+    this.webApiDetector = new WebApiDetector();
+    this.registry = new FeatureRegistry();
+  }
+
+  _getParserPlugins(ext) {
+    switch (ext) {
+      case '.ts':
+        return ['typescript'];
+      case '.tsx':
+        return ['typescript', 'jsx'];
+      default:
+        return ['jsx'];
+    }
+  }
+
+  parse(content, ext = '.js') {
+    return parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      plugins: this._getParserPlugins(ext)
+    });
+  }
+
+  // Returns { features, matches, suppressions } where features are caniuse IDs
+  // and matches holds every occurrence per feature, covering both syntax and Web
+  // API usage. API usage behind a feature test carries the test as "guard";
+  // suppressions lists the line ranges of caniuse-ignore comments.
+  // Throws if the source cannot be parsed.
+  detect(content, ext = '.js') {
+    const ast = this.parse(content, ext);
+    const lines = content.split('\n');
+    const matches = {};
+    const bindings = this.webApiDetector.collectBindings(ast.program);
+    const guards = [];
+
+    this._walk(ast.program, null, (node, parent) => {
+      const guard = this._getGuard(node, content);
+      if (guard) guards.push(guard);
+
+      const detections = [
+        ...this._classifyNode(node, parent),
+        ...this.webApiDetector.classify(node, parent, bindings).map(d => ({ ...d, api: true }))
+      ];
+
+      for (const detection of detections) {
+        // Syntax detection names are registry aliases of their canonical feature ID
+        const featureId = detection.featureId || this.registry.canonicalize(detection.name);
+        if (!matches[featureId]) {
+          matches[featureId] = [];
+        }
+        const match = this._describeMatch(detection, node, lines);
+        const enclosingGuard = guards.find(g => g.features.has(featureId) && node.start >= g.start && node.end <= g.end);
+        if (enclosingGuard) {
+          match.guard = enclosingGuard.test;
+        }
+        matches[featureId].push(match);
+      }
+    });
+
+    for (const featureMatches of Object.values(matches)) {
+      featureMatches.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    return {
+      features: Object.keys(matches),
+      matches,
+      suppressions: this._findSuppressions(ast, lines)
+    };
+  }
+
+  // Module specifiers a file loads: import/export ... from, require() and import()
+  // with a string literal. Returns [{ source, line }]; throws if unparseable.
+  collectImports(content, ext = '.js') {
+    const imports = [];
+    const add = (source, node) => {
+      if (source?.type === 'StringLiteral') imports.push({ source: source.value, line: node.loc.start.line });
+    };
+
+    this._walk(this.parse(content, ext).program, null, node => {
+      switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportAllDeclaration':
+        case 'ExportNamedDeclaration':
+          if (node.importKind !== 'type' && node.exportKind !== 'type') add(node.source, node);
+          break;
+        case 'ImportExpression':
+          add(node.source, node);
+          break;
+        case 'CallExpression':
+          if (node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require')) {
+            add(node.arguments[0], node);
+          }
+          break;
+      }
+    });
+    return imports;
+  }
+
+  // if ('IntersectionObserver' in window) { ... }, typeof fetch !== 'undefined' && fetch(...)
+  // and test ? a : b guard the test itself and the branch taken when it passes
+  _getGuard(node, content) {
+    let test, guarded;
+    if (node.type === 'IfStatement' || node.type === 'ConditionalExpression') {
+      [test, guarded] = [node.test, node.consequent];
+    } else if (node.type === 'LogicalExpression' && node.operator === '&&') {
+      [test, guarded] = [node.left, node.right];
+    } else {
+      return null;
+    }
+
+    const features = new Set();
+    this._collectFeatureTests(test, features);
+    if (features.size === 0) return null;
+
+    return {
+      start: test.start,
+      end: guarded.end,
+      features,
+      test: content.slice(test.start, test.end).replace(/\s+/g, ' ').slice(0, 80)
+    };
+  }
+
+  _collectFeatureTests(test, features) {
+    const add = path => {
+      const featureId = path && this.webApiDetector.resolvePath(path);
+      if (featureId) features.add(featureId);
+    };
+
+    switch (test.type) {
+      case 'LogicalExpression':
+        if (test.operator === '&&') {
+          this._collectFeatureTests(test.left, features);
+          this._collectFeatureTests(test.right, features);
+        }
+        break;
+      case 'UnaryExpression':
+        // !!window.fetch
+        if (test.operator === '!' && test.argument.type === 'UnaryExpression' && test.argument.operator === '!') {
+          this._collectFeatureTests(test.argument.argument, features);
+        }
+        break;
+      case 'BinaryExpression': {
+        // 'share' in navigator
+        if (test.operator === 'in' && test.left.type === 'StringLiteral') {
+          const host = this._memberPath(test.right);
+          add(host && `${host}.${test.left.value}`);
+          break;
+        }
+        // typeof ResizeObserver !== 'undefined', typeof fetch === 'function'
+        const [typeofSide, literal] = test.left.type === 'UnaryExpression' ? [test.left, test.right] : [test.right, test.left];
+        if (typeofSide.type === 'UnaryExpression' && typeofSide.operator === 'typeof' && literal.type === 'StringLiteral') {
+          const positive = ['!==', '!='].includes(test.operator)
+            ? literal.value === 'undefined'
+            : ['===', '=='].includes(test.operator) && literal.value !== 'undefined';
+          if (positive) add(this._memberPath(typeofSide.argument));
+        }
+        break;
+      }
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        // window.IntersectionObserver, navigator.clipboard
+        add(this._memberPath(test));
+        break;
+    }
+  }
+
+  // window.navigator.share -> "window.navigator.share"; null for computed access
+  _memberPath(node) {
+    if (node.type === 'Identifier') return node.name;
+    if ((node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') &&
+        !node.computed && node.property.type === 'Identifier') {
+      const objectPath = this._memberPath(node.object);
+      return objectPath && `${objectPath}.${node.property.name}`;
+    }
+    return null;
+  }
+
+  // A caniuse-ignore comment after code covers its own line; on a line of its
+  // own it covers the whole statement or expression that follows
+  _findSuppressions(ast, lines) {
+    const suppressions = [];
+    for (const comment of ast.comments || []) {
+      const parsed = parseSuppressionComment(comment.value);
+      if (!parsed) continue;
+
+      const { line, column } = comment.loc.start;
+      if (parsed.file || lines[line - 1].slice(0, column).trim()) {
+        suppressions.push(createSuppression(parsed, line, line, line));
+        continue;
+      }
+
+      const next = this._findNodeAfter(ast.program, comment.end);
+      if (next) {
+        suppressions.push(createSuppression(parsed, line, next.loc.start.line, next.loc.end.line));
+      }
+    }
+    return suppressions;
+  }
+
+  // The outermost node starting after offset, searching inside the node that encloses it
+  _findNodeAfter(root, offset) {
+    let current = root;
+    while (current) {
+      const children = this._children(current).sort((a, b) => a.start - b.start);
+      const after = children.find(child => child.start >= offset);
+      const enclosing = children.find(child => child.start < offset && child.end > offset);
+      if (enclosing && (!after || enclosing.start < after.start)) {
+        current = enclosing;
+      } else {
+        return after || null;
+      }
+    }
+    return null;
+  }
+
+  _children(node) {
+    const children = [];
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      for (const child of [].concat(node[key])) {
+        if (child && typeof child.type === 'string') children.push(child);
+      }
+    }
+    return children;
+  }
+
+  _walk(node, parent, visit) {
+    if (!node || typeof node.type !== 'string') return;
+
+    visit(node, parent);
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const item of child) {
+          if (item && typeof item.type === 'string') {
+            this._walk(item, node, visit);
+          }
+        }
+      } else if (child && typeof child.type === 'string') {
+        this._walk(child, node, visit);
+      }
+    }
+  }
+
+  _classifyNode(node, parent) {
+    const found = [];
+    const add = (name, extra = {}) => found.push({ name, ...extra });
+
+    switch (node.type) {
+      case 'ArrowFunctionExpression':
+        add('arrow-functions');
+        break;
+      case 'VariableDeclaration':
+        if (node.kind === 'const' || node.kind === 'let') add(node.kind);
+        break;
+      case 'TemplateLiteral':
+        if (parent?.type !== 'TSLiteralType') add('template-literals');
+        break;
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        if (!node.declare) add('es6-class');
+        break;
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+        add('destructuring');
+        break;
+      case 'SpreadElement':
+        add(parent?.type === 'ObjectExpression' ? 'object-spread' : 'spread-syntax');
+        break;
+      case 'RestElement':
+        if (parent?.params?.includes(node)) add('rest-parameters');
+        break;
+      case 'AssignmentPattern':
+        if (parent?.params?.includes(node)) add('default-parameters');
+        break;
+      case 'ForOfStatement':
+        add('for-of');
+        break;
+      case 'ImportDeclaration':
+        if (node.importKind !== 'type') add('es6-modules');
+        break;
+      case 'ExportNamedDeclaration':
+      case 'ExportDefaultDeclaration':
+      case 'ExportAllDeclaration':
+        if (node.exportKind !== 'type') add('es6-modules');
+        break;
+      case 'ImportExpression':
+        add('dynamic-import');
+        break;
+      case 'OptionalMemberExpression':
+      case 'OptionalCallExpression':
+        // Only the link carrying "?." counts, located at the operator itself
+        if (node.optional) add('optional-chaining', { at: (node.object || node.callee).loc.end });
+        break;
+      case 'LogicalExpression':
+        if (node.operator === '??') add('nullish-coalescing');
+        break;
+      case 'AssignmentExpression':
+        if (['??=', '||=', '&&='].includes(node.operator)) add('logical-assignment');
+        if (node.operator === '**=') add('exponent-operator');
+        break;
+      case 'BinaryExpression':
+        if (node.operator === '**') add('exponent-operator');
+        break;
+      case 'ClassProperty':
+        if (!node.declare && !node.abstract) add('class-fields');
+        break;
+      case 'ClassPrivateProperty':
+        add('private-class-fields');
+        break;
+      case 'ClassPrivateMethod':
+        add('private-methods');
+        break;
+      case 'StaticBlock':
+        add('static-blocks');
+        break;
+      case 'BigIntLiteral':
+        add('bigint');
+        break;
+      case 'NumericLiteral':
+        if (node.extra?.raw?.includes('_')) add('numeric-separators');
+        break;
+      case 'NewExpression':
+        if (node.callee.type === 'Identifier' && node.callee.name === 'Promise') add('promises');
+        break;
+      case 'CallExpression':
+        this._classifyCall(node, add);
+        break;
+    }
+
+    if (FUNCTION_NODES.has(node.type)) {
+      if (node.async) add('async-await');
+      if (node.generator) add('generators');
+    }
+
+    return found;
+  }
+
+  _classifyCall(node, add) {
+    const { callee } = node;
+
+    if (callee.type === 'Import') {
+      add('dynamic-import');
+      return;
+    }
+
+    if (callee.type !== 'MemberExpression' || callee.computed) return;
+
+    const objectName = callee.object.type === 'Identifier' ? callee.object.name : null;
+    const propertyName = callee.property.name;
+
+    if (objectName === 'Promise') {
+      add('promises');
+    } else if (objectName === 'Object' && propertyName === 'assign') {
+      add('object-assign');
+    } else if (propertyName === 'includes') {
+      // Without type information only literal receivers are unambiguous
+      const receiver = callee.object.type;
+      if (receiver === 'StringLiteral' || receiver === 'TemplateLiteral') {
+        add('string-includes');
+      } else {
+        add('array-includes', { confidence: receiver === 'ArrayExpression' ? 'high' : 'low' });
+      }
+    }
+  }
+
+  _describeMatch(detection, node, lines) {
+    const { line, column } = detection.at || node.loc.start;
+    const sourceLine = lines[line - 1] || '';
+    const snippet = node.loc.end.line === line
+      ? sourceLine.slice(column, node.loc.end.column)
+      : sourceLine.slice(column);
+
+    const match = {
+      detection: detection.api ? `api:${detection.name}` : detection.name,
+      node: node.type,
+      match: snippet.trim().slice(0, 80),
+      line,
+      column: column + 1
+    };
+
+    if (detection.confidence) {
+      match.confidence = detection.confidence;
+    }
+    return match;
+  }
+}
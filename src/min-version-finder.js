@@ -0,0 +1,170 @@
+import { CanIUseClient } from './caniuse-client.js';
+import { isBcdKey } from './bcd-client.js';
+import { compareVersions, parseVersionKey } from './version-resolver.js';
+
+// Works out, per browser, the lowest release from which every feature stays
+// supported, using the caniuse stats behind CanIUseClient. Features caniuse
+// doesn't cover fall back to MDN browser-compat-data.
+export class MinVersionFinder {
+  constructor(client = new CanIUseClient()) {
+    this.client = client;
+    this.configManager = client.configManager;
+    this.registry = client.registry;
+    this.defaultBrowsers = ['chrome', 'edge', 'firefox', 'safari', 'ios_saf'];
+  }
+
+  async findMinimumVersions(features, options = {}) {
+    const {
+      browsers = this.defaultBrowsers,
+      minimumSupport = 'full'
+    } = options;
+    const perFeature = {};
+    const skipped = [];
+
+    for (const requestedName of features) {
+      const featureId = this.registry.canonicalize(requestedName);
+      const skipReason = await this._getSkipReason(featureId);
+      if (skipReason) {
+        skipped.push({ feature: featureId, reason: skipReason });
+        continue;
+      }
+
+      try {
+        perFeature[featureId] = await this._findMinimumsForFeature(featureId, browsers, minimumSupport);
+      } catch (error) {
+        skipped.push({ feature: featureId, reason: error.message });
+      }
+    }
+
+    const byBrowser = {};
+    for (const browser of browsers) {
+      byBrowser[browser] = this._combine(perFeature, browser);
+    }
+
+    return {
+      minimumSupport,
+      browsers: byBrowser,
+      features: perFeature,
+      skipped,
+      browserslist: Object.entries(byBrowser)
+        .filter(([, result]) => result.minVersion)
+        .map(([browser, result]) => `${browser} >= ${parseVersionKey(result.minVersion).min}`)
+        .join(', ')
+    };
+  }
+
+  async _findMinimumsForFeature(featureId, browsers, minimumSupport) {
+    const entry = this.registry.get(featureId);
+    const bcdKey = entry ? entry.bcd : (isBcdKey(featureId) ? featureId : null);
+    const caniuseId = entry ? entry.caniuse : (bcdKey ? null : featureId);
+    const minimums = {};
+
+    if (caniuseId) {
+      try {
+        const featureData = await this.client.getFeatureData(caniuseId);
+        const accepted = minimumSupport === 'partial' ? ['y', 'a'] : ['y'];
+        for (const browser of browsers) {
+          minimums[browser] = { ...this._findFeatureMinimum(featureData.stats?.[browser], accepted), dataset: 'caniuse' };
+        }
+        return minimums;
+      } catch (error) {
+        if (!bcdKey) throw error;
+      }
+    }
+
+    const bcdClient = await this.client.getBcdClient();
+    const compat = bcdClient && await bcdClient.getCompat(bcdKey);
+    if (!compat) {
+      throw new Error(`No caniuse or browser-compat-data entry for ${featureId}`);
+    }
+    for (const browser of browsers) {
+      minimums[browser] = {
+        ...bcdClient.getMinimumVersion(compat, browser, { allowPartial: minimumSupport === 'partial' }),
+        dataset: 'mdn-bcd'
+      };
+    }
+    return minimums;
+  }
+
+  // Polyfilled and force-supported features never hold a browser back
+  async _getSkipReason(featureId) {
+    const override = await this.configManager.getFeatureOverride(featureId);
+    if (override === 'supported') {
+      return 'Forced supported by configuration';
+    }
+    if (await this.configManager.isFeaturePolyfilled(featureId)) {
+      return 'Polyfilled';
+    }
+    return null;
+  }
+
+  // The lowest version key after which support never drops below the accepted
+  // level. Returns { minVersion: null } when even the newest release falls short.
+  _findFeatureMinimum(browserStats, accepted) {
+    if (!browserStats) {
+      return { minVersion: null, reason: 'Browser not in caniuse data' };
+    }
+
+    const versions = Object.keys(browserStats)
+      .filter(key => parseVersionKey(key).min)
+      .sort((a, b) => compareVersions(parseVersionKey(a).min, parseVersionKey(b).min));
+
+    let minVersion = null;
+    for (let i = versions.length - 1; i >= 0; i--) {
+      const value = browserStats[versions[i]];
+      if (!accepted.includes(this.client.parseSupportValue(value).letter)) {
+        break;
+      }
+      minVersion = versions[i];
+    }
+
+    if (!minVersion) {
+      return { minVersion: null, reason: 'Not supported in any released version' };
+    }
+
+    const { letter, prefixRequired } = this.client.parseSupportValue(browserStats[minVersion]);
+    return {
+      minVersion,
+      support: letter === 'y' ? 'full' : 'partial',
+      ...(prefixRequired && { prefixRequired: true })
+    };
+  }
+
+  _combine(perFeature, browser) {
+    let minVersion = null;
+    let blockingFeatures = [];
+    const unsupportedFeatures = [];
+
+    for (const [featureId, byBrowser] of Object.entries(perFeature)) {
+      const featureMinimum = byBrowser[browser].minVersion;
+      if (!featureMinimum) {
+        unsupportedFeatures.push(featureId);
+        continue;
+      }
+
+      const comparison = minVersion ? compareVersions(parseVersionKey(featureMinimum).min, parseVersionKey(minVersion).min) : 1;
+      if (comparison > 0) {
+        minVersion = featureMinimum;
+        blockingFeatures = [featureId];
+      } else if (comparison === 0) {
+        blockingFeatures.push(featureId);
+      }
+    }
+
+    if (unsupportedFeatures.length > 0) {
+      return {
+        minVersion: null,
+        blockingFeatures: unsupportedFeatures,
+        message: `No ${browser} version supports ${unsupportedFeatures.join(', ')}`
+      };
+    }
+
+    return {
+      minVersion,
+      blockingFeatures,
+      message: minVersion
+        ? `${browser} ${minVersion}+ (held back by ${blockingFeatures.join(', ')})`
+        : `No features to check for ${browser}`
+    };
+  }
+}
@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import { JsFeatureDetector } from './js-feature-detector.js';
+import { PolyfillRegistry } from './polyfill-registry.js';
+import { FeatureRegistry } from './feature-registry.js';
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+// Checked alongside package.json "main", "module", "browser" and "source"
+const CONVENTIONAL_ENTRIES = ['src/index', 'src/main', 'src/app', 'src/polyfills', 'index', 'main', 'app', 'polyfills'];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+// Entry points usually pull polyfills in directly or through a local "polyfills" module
+const MAX_IMPORT_DEPTH = 3;
+// Files followed per entry point to find out which parts of the project it loads
+const MAX_FILES = 500;
+
+// Finds the polyfills a project actually loads: known polyfill packages
+// imported from its entry points (following local imports a few levels deep)
+// and those merely listed in package.json.
+export class PolyfillDetector {
+  constructor(polyfills = new PolyfillRegistry(), registry = new FeatureRegistry()) {
+    this.polyfills = polyfills;
+    this.registry = registry;
+    this.jsDetector = new JsFeatureDetector();
+  }
+
+  // Returns { packageJson, entryFiles, detected: [{ polyfill, package, imported,
+  // dependency, files, features, scopes? }], applied }. Only imported polyfills
+  // are "applied", i.e. counted as loaded when checking support. With
+  // resolveScope, scopes lists the config sections (null for files outside
+  // them) with files the importing entry points load.
+  async detect(projectPath, { resolveScope = null } = {}) {
+    const root = path.resolve(projectPath);
+    const packageJsonPath = path.join(root, 'package.json');
+    const manifest = await this._readManifest(packageJsonPath);
+    const entryFiles = this._findEntries(root, manifest);
+    const { imports, reachable } = await this._collectImports(entryFiles);
+
+    const byPolyfill = new Map();
+    for (const { source, file, line, entry } of imports) {
+      const features = this.polyfills.expand(source).map(cover => cover.feature);
+      if (features.length === 0) continue;
+      if (!byPolyfill.has(source)) {
+        byPolyfill.set(source, {
+          polyfill: source,
+          package: this.polyfills.resolve(source).polyfill.package,
+          imported: true,
+          dependency: null,
+          files: [],
+          features,
+          entries: new Set()
+        });
+      }
+      const found = byPolyfill.get(source);
+      const location = { file: path.join(projectPath, path.relative(root, file)), line };
+      if (!found.files.some(known => known.file === location.file && known.line === line)) {
+        found.files.push(location);
+      }
+      found.entries.add(entry);
+    }
+
+    for (const found of byPolyfill.values()) {
+      const { entries } = found;
+      delete found.entries;
+      if (resolveScope) {
+        const loaded = [...entries].flatMap(entry => [...reachable.get(entry)]);
+        found.scopes = [...new Set(loaded.map(file => resolveScope(file)?.name ?? null))];
+      }
+    }
+
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const name of Object.keys(manifest?.[field] || {})) {
+        const resolved = this.polyfills.resolve(name);
+        if (!resolved || resolved.module !== null) continue;
+
+        const imports = [...byPolyfill.values()].filter(entry => this.polyfills.resolve(entry.polyfill).polyfill === resolved.polyfill);
+        if (imports.length > 0) {
+          imports.forEach(entry => { entry.dependency ??= field; });
+        } else if (!byPolyfill.has(name)) {
+          byPolyfill.set(name, {
+            polyfill: name,
+            package: resolved.polyfill.package,
+            imported: false,
+            dependency: field,
+            files: [],
+            features: this.polyfills.expand(name).map(cover => cover.feature)
+          });
+        }
+      }
+    }
+
+    const detected = [...byPolyfill.values()];
+    return {
+      packageJson: manifest ? packageJsonPath : null,
+      entryFiles: entryFiles.map(file => path.join(projectPath, path.relative(root, file))),
+      detected,
+      applied: detected.filter(entry => entry.imported).map(entry => entry.polyfill)
+    };
+  }
+
+  // Differences between the configured "polyfills" list and what the project loads
+  compare(detection, configured = []) {
+    const provides = name => this.polyfills.resolve(name)
+      ? this.polyfills.expand(name).map(cover => cover.feature)
+      : [this.registry.canonicalize(name)];
+    const configuredFeatures = new Set(configured.flatMap(provides));
+    const loadedFeatures = new Set(detection.detected.filter(entry => entry.imported).flatMap(entry => entry.features));
+    const discrepancies = [];
+
+    for (const entry of detection.detected) {
+      if (!entry.imported) {
+        discrepancies.push({
+          type: 'not-imported',
+          polyfill: entry.polyfill,
+          dependency: entry.dependency,
+          message: `${entry.polyfill} is in ${entry.dependency} but no entry point imports it; if a bundler or Babel (useBuiltIns) injects it, add it to polyfills`
+        });
+        continue;
+      }
+
+      const unconfigured = entry.features.filter(feature => !configuredFeatures.has(feature));
+      if (unconfigured.length > 0) {
+        const { file, line } = entry.files[0];
+        discrepancies.push({
+          type: 'not-configured',
+          polyfill: entry.polyfill,
+          features: unconfigured,
+          files: entry.files,
+          message: `${entry.polyfill} is imported in ${file}:${line} but not listed in polyfills; it is applied automatically`
+        });
+      }
+    }
+
+    // Nothing to compare against in projects without JavaScript entry points
+    if (detection.packageJson || detection.entryFiles.length > 0) {
+      for (const name of configured) {
+        const features = provides(name);
+        const missing = features.filter(feature => !loadedFeatures.has(feature));
+        if (missing.length === 0) continue;
+        discrepancies.push({
+          type: 'not-detected',
+          polyfill: name,
+          features: missing,
+          message: missing.length === features.length
+            ? `${name} is configured as a polyfill but no entry point imports anything providing it`
+            : `${name} is configured as a polyfill but the imported polyfills only provide part of it (missing: ${missing.join(', ')})`
+        });
+      }
+    }
+
+    return discrepancies;
+  }
+
+  async _readManifest(packageJsonPath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(packageJsonPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Warning: Could not read ${packageJsonPath}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  _findEntries(root, manifest) {
+    const declared = ['main', 'module', 'browser', 'source']
+      .map(field => manifest?.[field])
+      .filter(value => typeof value === 'string');
+    const entries = [...declared, ...CONVENTIONAL_ENTRIES]
+      .map(entry => this._resolveFile(path.resolve(root, entry)))
+      .filter(file => file && !path.relative(root, file).startsWith('..'));
+    return [...new Set(entries)];
+  }
+
+  // "./polyfills" -> ./polyfills.js, ./polyfills/index.ts, ...
+  _resolveFile(base) {
+    const candidates = [
+      base,
+      ...SOURCE_EXTENSIONS.map(ext => base + ext),
+      ...SOURCE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+    ];
+    return candidates.find(candidate => {
+      try {
+        return fs.statSync(candidate).isFile() && SOURCE_EXTENSIONS.includes(path.extname(candidate));
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  // Bare specifiers imported from each entry and the local modules it imports
+  // a few levels deep ({ source, file, line, entry }), and every local file
+  // each entry loads (reachable: entry -> Set of files)
+  async _collectImports(entryFiles) {
+    const imports = [];
+    const reachable = new Map();
+    const importsByFile = new Map();
+
+    for (const entry of entryFiles) {
+      const visited = new Set([entry]);
+      let queue = [{ file: entry, depth: 0 }];
+
+      while (queue.length > 0) {
+        const next = [];
+        for (const { file, depth } of queue) {
+          if (!importsByFile.has(file)) {
+            importsByFile.set(file, await this._readImports(file));
+          }
+
+          for (const { source, line } of importsByFile.get(file)) {
+            if (!source.startsWith('.')) {
+              if (depth <= MAX_IMPORT_DEPTH) imports.push({ source, file, line, entry });
+              continue;
+            }
+            const local = this._resolveFile(path.resolve(path.dirname(file), source));
+            if (local && visited.size < MAX_FILES && !visited.has(local)) {
+              visited.add(local);
+              next.push({ file: local, depth: depth + 1 });
+            }
+          }
+        }
+        queue = next;
+      }
+      reachable.set(entry, visited);
+    }
+
+    return { imports, reachable };
+  }
+
+  async _readImports(file) {
+    try {
+      return this.jsDetector.collectImports(await fs.promises.readFile(file, 'utf8'), path.extname(file));
+    } catch (error) {
+      console.warn(`Warning: Could not read imports from ${file}: ${error.message}`);
+      return [];
+    }
+  }
+}
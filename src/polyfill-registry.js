@@ -0,0 +1,112 @@
+import fs from 'fs';
+import { FeatureRegistry } from './feature-registry.js';
+
+const registryData = JSON.parse(
+  fs.readFileSync(new URL('./data/polyfill-registry.json', import.meta.url), 'utf8')
+);
+
+// "15.2-15.3" -> 15.2; "latest" and "TP" count as newer than any number
+function versionNumber(version) {
+  const number = parseFloat(String(version));
+  return Number.isNaN(number) ? Infinity : number;
+}
+
+// Known polyfill packages: which features a name in the config's "polyfills"
+// list really provides (fully, or partially and what is missing), and the
+// oldest browser versions each package runs in.
+export class PolyfillRegistry {
+  constructor(data = registryData, featureRegistry = new FeatureRegistry()) {
+    this.polyfills = new Map();
+    this.lookup = new Map();
+
+    const canonicalize = feature => featureRegistry.canonicalize(feature);
+    for (const entry of data.polyfills) {
+      const polyfill = {
+        ...entry,
+        covers: entry.covers.map(cover => ({ ...cover, feature: canonicalize(cover.feature) })),
+        ...(entry.modules && {
+          modules: Object.fromEntries(
+            Object.entries(entry.modules).map(([modulePath, features]) => [modulePath, features.map(canonicalize)])
+          )
+        })
+      };
+      this.polyfills.set(entry.id, polyfill);
+      for (const name of [entry.id, entry.package, ...(entry.aliases || [])]) {
+        this.lookup.set(name.toLowerCase(), polyfill);
+      }
+    }
+  }
+
+  get(polyfillId) {
+    return this.polyfills.get(polyfillId) || null;
+  }
+
+  // A package name or alias, or a module inside one ("core-js/stable/array/flat")
+  resolve(name) {
+    if (typeof name !== 'string') return null;
+    const key = name.trim().toLowerCase();
+    if (this.lookup.has(key)) {
+      return { polyfill: this.lookup.get(key), module: null };
+    }
+    for (const [packageName, polyfill] of this.lookup) {
+      if (polyfill.modules && key.startsWith(`${packageName}/`)) {
+        return { polyfill, module: key.slice(packageName.length + 1).replace(/(\/index)?\.js$/, '') };
+      }
+    }
+    return null;
+  }
+
+  isKnown(name) {
+    return this.expand(name).length > 0;
+  }
+
+  // Features a configured polyfill provides: [{ feature, coverage: 'full'|'partial', note? }]
+  expand(name) {
+    const resolved = this.resolve(name);
+    if (!resolved) return [];
+
+    const { polyfill, module } = resolved;
+    if (module === null) return polyfill.covers;
+
+    // "<tier>/<path>": es holds the language features, web the platform APIs
+    const [tier, ...rest] = module.split('/');
+    if (!polyfill.moduleTiers?.includes(tier)) return [];
+    const modulePath = rest.join('/');
+    const webModules = polyfill.webModules || [];
+
+    const features = new Set();
+    for (const [candidate, moduleFeatures] of Object.entries(polyfill.modules)) {
+      if (tier === 'es' && webModules.includes(candidate)) continue;
+      if (tier === 'web' && !webModules.includes(candidate)) continue;
+      if (modulePath === '' || candidate === modulePath || candidate.startsWith(`${modulePath}/`)) {
+        moduleFeatures.forEach(feature => features.add(feature));
+      }
+    }
+    return polyfill.covers.filter(cover => features.has(cover.feature));
+  }
+
+  // Packages that provide a feature, for suggesting one in its place
+  packagesFor(featureId) {
+    return [...this.polyfills.values()]
+      .filter(polyfill => polyfill.covers.some(cover => cover.feature === featureId))
+      .map(polyfill => polyfill.package);
+  }
+
+  // How a configured polyfill covers one feature in a browser, or null when it doesn't
+  coverage(name, featureId, browser = null, version = null) {
+    const cover = this.expand(name).find(candidate => candidate.feature === featureId);
+    if (!cover) return null;
+
+    const { polyfill } = this.resolve(name);
+    const minimum = browser ? polyfill.minimumVersions?.[browser] : null;
+    return {
+      polyfill: name,
+      package: polyfill.package,
+      coverage: cover.coverage,
+      ...(cover.note && { note: cover.note }),
+      // Below its minimum version the polyfill itself doesn't run
+      available: !(minimum && version && versionNumber(version) < versionNumber(minimum)),
+      ...(minimum && { minimumVersion: `${browser} ${minimum}` })
+    };
+  }
+}
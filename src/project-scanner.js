@@ -1,8 +1,28 @@
 import { readFile, readdir, stat } from 'fs/promises';
-import { join, extname } from 'path';
+import { join, extname, isAbsolute, relative, resolve, sep } from 'path';
+import { JsFeatureDetector } from './js-feature-detector.js';
+import { CssFeatureDetector } from './css-feature-detector.js';
+import { FeatureRegistry } from './feature-registry.js';
+import { GitChanges } from './git-changes.js';
+import { PolyfillDetector } from './polyfill-detector.js';
+import { PolyfillRegistry } from './polyfill-registry.js';
+import { createSuppression, parseSuppressionComment } from './suppressions.js';
+import { loadSourceMap } from './source-map.js';
+
+const BUNDLE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.css'];
+
+// "node_modules/@scope/pkg/dist/index.js" -> "@scope/pkg"
+function dependencyOf(filePath) {
+  const match = filePath.replace(/\\/g, '/').match(/.*node_modules\/((?:@[^/]+\/)?[^/]+)/);
+  return match ? match[1] : null;
+}
 
 export class ProjectScanner {
   constructor() {
+    this.registry = new FeatureRegistry();
+    this.cssDetector = new CssFeatureDetector();
+
+    // Fallback for indented .sass and stylesheets the parser cannot handle
     this.cssFeaturePatterns = {
       'css-grid': [/display:\s*grid/i, /grid-template/i, /grid-area/i, /grid-column/i, /grid-row/i],
       'flexbox': [/display:\s*flex/i, /justify-content/i, /align-items/i, /flex-direction/i, /flex-wrap/i],
@@ -20,6 +40,10 @@ export class ProjectScanner {
       'css-gradients': [/linear-gradient/i, /radial-gradient/i, /-webkit-gradient/i]
     };
 
+    this.jsDetector = new JsFeatureDetector();
+    this.polyfillDetector = new PolyfillDetector(new PolyfillRegistry(undefined, this.registry), this.registry);
+
+    // Fallback for sources the parser cannot handle
     this.jsFeaturePatterns = {
       'arrow-functions': [/=>\s*{/i, /=>\s*\(/i, /=>\s*[\w]/i],
       'const': [/\bconst\s+\w+/i],
@@ -43,12 +67,18 @@ export class ProjectScanner {
     const { 
       maxDepth = 5, 
       excludeDirs = ['node_modules', '.git', 'dist', 'build'],
-      includeFiles = []
+      includeFiles = [],
+      changedSince,
+      staged = false,
+      resolveScope = null,
+      detectPolyfills = true,
+      bundleDir = null
     } = options;
 
     const results = {
       files: [],
       features: new Map(),
+      suppressed: new Map(),
       summary: {
         totalFiles: 0,
         jsFiles: 0,
@@ -56,16 +86,31 @@ export class ProjectScanner {
         featuresFound: 0
       }
     };
+    // Per-path config sections: file -> scope name (null for the project defaults)
+    if (resolveScope) {
+      results.fileScopes = new Map();
+    }
 
-    await this._scanDirectoryRecursive(dirPath, results, 0, maxDepth, excludeDirs, includeFiles);
+    if (bundleDir) {
+      await this._scanBundles(dirPath, bundleDir, results, maxDepth, resolveScope);
+    } else if (changedSince || staged) {
+      await this._scanGitChanges(dirPath, results, { changedSince, staged, maxDepth, excludeDirs, includeFiles, resolveScope });
+    } else {
+      await this._scanDirectoryRecursive(dirPath, results, 0, maxDepth, excludeDirs, includeFiles, resolveScope);
+    }
     
     results.summary.featuresFound = results.features.size;
     results.featuresArray = Array.from(results.features.keys());
 
+    // Polyfills from package.json and entry-point imports, whatever files were scanned
+    if (detectPolyfills) {
+      results.polyfills = await this.polyfillDetector.detect(dirPath, { resolveScope });
+    }
+
     return results;
   }
 
-  async _scanDirectoryRecursive(dirPath, results, currentDepth, maxDepth, excludeDirs, includeFiles) {
+  async _scanDirectoryRecursive(dirPath, results, currentDepth, maxDepth, excludeDirs, includeFiles, resolveScope) {
     if (currentDepth > maxDepth) return;
 
     try {
@@ -78,33 +123,13 @@ export class ProjectScanner {
           const stats = await stat(itemPath);
           
           if (stats.isDirectory() && !excludeDirs.includes(item)) {
-            await this._scanDirectoryRecursive(itemPath, results, currentDepth + 1, maxDepth, excludeDirs, includeFiles);
+            await this._scanDirectoryRecursive(itemPath, results, currentDepth + 1, maxDepth, excludeDirs, includeFiles, resolveScope);
           } else if (stats.isFile()) {
             const ext = extname(item);
             const shouldInclude = this.supportedExtensions.includes(ext) || includeFiles.includes(item);
             
             if (shouldInclude) {
-              const fileResult = await this.scanFile(itemPath);
-              if (fileResult.features.length > 0) {
-                results.files.push(fileResult);
-                results.summary.totalFiles++;
-                
-                if (['.js', '.jsx', '.ts', '.tsx'].includes(ext)) {
-                  results.summary.jsFiles++;
-                } else if (['.css', '.scss', '.sass', '.less'].includes(ext)) {
-                  results.summary.cssFiles++;
-                }
-                
-                fileResult.features.forEach(feature => {
-                  if (!results.features.has(feature)) {
-                    results.features.set(feature, []);
-                  }
-                  results.features.get(feature).push({
-                    file: itemPath,
-                    matches: fileResult.matches[feature] || []
-                  });
-                });
-              }
+              this._addFileResult(results, await this.scanFile(itemPath), itemPath, resolveScope);
             }
           }
         } catch (error) {
@@ -116,29 +141,282 @@ export class ProjectScanner {
     }
   }
 
+  _addFileResult(results, fileResult, filePath, resolveScope) {
+    const scope = resolveScope ? { scope: resolveScope(filePath)?.name ?? null } : {};
+
+    for (const [feature, suppressedMatches] of Object.entries(fileResult.suppressed || {})) {
+      if (!results.suppressed.has(feature)) {
+        results.suppressed.set(feature, []);
+      }
+      results.suppressed.get(feature).push({ file: filePath, ...scope, matches: suppressedMatches });
+    }
+
+    if (fileResult.features.length === 0) return;
+
+    const ext = extname(filePath);
+    results.files.push(fileResult);
+    results.summary.totalFiles++;
+    if (resolveScope) {
+      results.fileScopes.set(filePath, scope.scope);
+    }
+
+    if (['.js', '.jsx', '.ts', '.tsx'].includes(ext)) {
+      results.summary.jsFiles++;
+    } else if (['.css', '.scss', '.sass', '.less'].includes(ext)) {
+      results.summary.cssFiles++;
+    }
+
+    fileResult.features.forEach(feature => {
+      if (!results.features.has(feature)) {
+        results.features.set(feature, []);
+      }
+      results.features.get(feature).push({
+        file: filePath,
+        ...scope,
+        matches: fileResult.matches[feature] || []
+      });
+    });
+  }
+
+  // Scans compiled output (JS and CSS) instead of the sources, attributing
+  // each finding to the original file and line through the bundle's source map
+  async _scanBundles(dirPath, bundleDir, results, maxDepth, resolveScope) {
+    const bundleRoot = join(dirPath, bundleDir);
+    const dependencies = new Map();
+    results.bundle = { dir: bundleRoot, bundles: 0, mapped: 0, unmapped: [] };
+
+    for (const bundlePath of await this._listBundles(bundleRoot, 0, maxDepth)) {
+      let content;
+      try {
+        content = await readFile(bundlePath, 'utf-8');
+      } catch (error) {
+        console.warn(`Warning: Could not read bundle ${bundlePath}:`, error.message);
+        continue;
+      }
+
+      const sourceMap = await loadSourceMap(bundlePath, content);
+      results.bundle.bundles++;
+      if (sourceMap) {
+        results.bundle.mapped++;
+      } else {
+        results.bundle.unmapped.push(bundlePath);
+      }
+      this._addBundleResult(results, await this.scanContent(bundlePath, content), bundlePath, sourceMap, dirPath, resolveScope, dependencies);
+    }
+
+    // Features that reach the output from node_modules, by package
+    results.bundle.dependencies = Object.fromEntries(
+      [...dependencies].map(([name, features]) => [name, [...features]])
+    );
+  }
+
+  async _listBundles(dirPath, currentDepth, maxDepth) {
+    if (currentDepth > maxDepth) return [];
+
+    let items;
+    try {
+      items = await readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      throw new Error(`Could not read bundle directory ${dirPath}: ${error.message}`);
+    }
+
+    const bundles = [];
+    for (const item of items) {
+      const itemPath = join(dirPath, item.name);
+      if (item.isDirectory()) {
+        bundles.push(...await this._listBundles(itemPath, currentDepth + 1, maxDepth));
+      } else if (item.isFile() && BUNDLE_EXTENSIONS.includes(extname(item.name))) {
+        bundles.push(itemPath);
+      }
+    }
+    return bundles;
+  }
+
+  _addBundleResult(results, fileResult, bundlePath, sourceMap, dirPath, resolveScope, dependencies) {
+    if (fileResult.features.length === 0 && Object.keys(fileResult.suppressed || {}).length === 0) return;
+
+    results.files.push(fileResult);
+    results.summary.totalFiles++;
+    if (extname(bundlePath) === '.css') {
+      results.summary.cssFiles++;
+    } else {
+      results.summary.jsFiles++;
+    }
+
+    const attribute = (target, feature, matches) => {
+      for (const [file, fileMatches] of this._attributeMatches(matches, bundlePath, sourceMap, dirPath)) {
+        const scope = resolveScope ? { scope: resolveScope(file)?.name ?? null } : {};
+        const dependency = dependencyOf(file);
+        if (resolveScope) {
+          results.fileScopes.set(file, scope.scope);
+        }
+        if (dependency && target === results.features) {
+          if (!dependencies.has(dependency)) dependencies.set(dependency, new Set());
+          dependencies.get(dependency).add(feature);
+        }
+
+        if (!target.has(feature)) {
+          target.set(feature, []);
+        }
+        target.get(feature).push({
+          file,
+          ...scope,
+          bundle: bundlePath,
+          ...(dependency && { dependency }),
+          matches: fileMatches
+        });
+      }
+    };
+
+    fileResult.features.forEach(feature => attribute(results.features, feature, fileResult.matches[feature] || []));
+    for (const [feature, suppressedMatches] of Object.entries(fileResult.suppressed || {})) {
+      attribute(results.suppressed, feature, suppressedMatches);
+    }
+  }
+
+  // Groups a bundle's matches by original file, moving their positions there
+  // and keeping the bundle position as "generated"; unmapped ones stay put
+  _attributeMatches(matches, bundlePath, sourceMap, dirPath) {
+    const byFile = new Map();
+    const projectRoot = resolve(dirPath);
+
+    for (const match of matches) {
+      const original = sourceMap?.originalPositionFor(match.line, match.column || 1);
+      let file = bundlePath;
+      let attributed = match;
+      if (original) {
+        const sourcePath = sourceMap.resolveSource(original.source, projectRoot);
+        const relativePath = relative(projectRoot, sourcePath);
+        file = relativePath.startsWith('..') || isAbsolute(relativePath) ? sourcePath : join(dirPath, relativePath);
+        attributed = {
+          ...match,
+          line: original.line,
+          column: original.column,
+          generated: { file: bundlePath, line: match.line, column: match.column }
+        };
+      }
+
+      if (!byFile.has(file)) {
+        byFile.set(file, []);
+      }
+      byFile.get(file).push(attributed);
+    }
+
+    if (matches.length === 0) {
+      byFile.set(bundlePath, []);
+    }
+    return byFile;
+  }
+
+  // Scans only files changed since a git ref (or staged), keeping only the
+  // features found on added or modified lines
+  async _scanGitChanges(dirPath, results, options) {
+    const { changedSince, staged, maxDepth, excludeDirs, includeFiles, resolveScope } = options;
+    const git = new GitChanges(dirPath);
+    const changes = await git.collect({ since: changedSince, staged });
+    const scanRoot = resolve(dirPath);
+
+    results.summary.changedFiles = 0;
+    results.git = {
+      mode: staged ? 'staged' : 'changed-since',
+      ...(changedSince && { ref: changedSince, mergeBase: changes.base })
+    };
+
+    for (const [absolutePath, changedLines] of changes.files) {
+      const relativePath = relative(scanRoot, absolutePath);
+      if (relativePath.startsWith('..') || isAbsolute(relativePath)) continue;
+
+      const segments = relativePath.split(sep);
+      const name = segments[segments.length - 1];
+      if (segments.length - 1 > maxDepth || segments.slice(0, -1).some(dir => excludeDirs.includes(dir))) continue;
+      if (!this.supportedExtensions.includes(extname(name)) && !includeFiles.includes(name)) continue;
+
+      results.summary.changedFiles++;
+      const filePath = join(dirPath, relativePath);
+      const fileResult = staged
+        ? await this.scanContent(filePath, await git.readStaged(absolutePath))
+        : await this.scanFile(filePath);
+      this._addFileResult(results, this._filterToLines(fileResult, changedLines), filePath, resolveScope);
+    }
+  }
+
+  _filterToLines(fileResult, lines) {
+    if (!lines) return fileResult;
+
+    const keepChanged = byFeature => {
+      const kept = {};
+      for (const [feature, featureMatches] of Object.entries(byFeature || {})) {
+        const changed = featureMatches.filter(match => lines.has(match.line));
+        if (changed.length > 0) {
+          kept[feature] = changed;
+        }
+      }
+      return kept;
+    };
+
+    const matches = keepChanged(fileResult.matches);
+    return { ...fileResult, features: Object.keys(matches), matches, suppressed: keepChanged(fileResult.suppressed) };
+  }
+
   async scanFile(filePath) {
     try {
-      const content = await readFile(filePath, 'utf-8');
+      return await this.scanContent(filePath, await readFile(filePath, 'utf-8'));
+    } catch (error) {
+      console.warn(`Warning: Could not scan file ${filePath}:`, error.message);
+      return { file: filePath, features: [], matches: {}, error: error.message };
+    }
+  }
+
+  async scanContent(filePath, content) {
+    try {
       const ext = extname(filePath);
       
       const features = [];
       const matches = {};
       
       let patterns;
-      if (['.js', '.jsx', '.ts', '.tsx'].includes(ext)) {
-        patterns = this.jsFeaturePatterns;
-      } else if (['.css', '.scss', '.sass', '.less'].includes(ext)) {
+      if (['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'].includes(ext)) {
+        try {
+          const detected = this.jsDetector.detect(content, ext);
+          return this._applySuppressions({
+            file: filePath,
+            type: 'javascript',
+            features: detected.features,
+            matches: detected.matches,
+            linesOfCode: content.split('\n').length
+          }, detected.suppressions);
+        } catch (error) {
+          console.warn(`Warning: Could not parse ${filePath}, falling back to pattern matching: ${error.message}`);
+          patterns = this.jsFeaturePatterns;
+        }
+      } else if (['.css', '.scss', '.less'].includes(ext)) {
+        try {
+          const detected = this.cssDetector.detect(content, ext);
+          return this._applySuppressions({
+            file: filePath,
+            type: 'css',
+            features: detected.features,
+            matches: detected.matches,
+            linesOfCode: content.split('\n').length
+          }, detected.suppressions);
+        } catch (error) {
+          console.warn(`Warning: Could not parse ${filePath}, falling back to pattern matching: ${error.message}`);
+          patterns = this.cssFeaturePatterns;
+        }
+      } else if (ext === '.sass') {
         patterns = this.cssFeaturePatterns;
       } else {
         return { file: filePath, features: [], matches: {} };
       }
       
-      for (const [feature, regexes] of Object.entries(patterns)) {
+      for (const [patternName, regexes] of Object.entries(patterns)) {
+        const feature = this.registry.canonicalize(patternName);
         const featureMatches = [];
         
         for (const regex of regexes) {
-          const match = content.match(regex);
-          if (match) {
+          // Every occurrence, so incremental scans can keep the ones on changed lines
+          const global = regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+          for (const match of content.matchAll(global)) {
             if (!features.includes(feature)) {
               features.push(feature);
             }
@@ -155,19 +433,77 @@ export class ProjectScanner {
         }
       }
       
-      return {
+      return this._applySuppressions({
         file: filePath,
         type: ['.js', '.jsx', '.ts', '.tsx'].includes(ext) ? 'javascript' : 'css',
         features,
         matches,
         linesOfCode: content.split('\n').length
-      };
+      }, this._findCommentSuppressions(content));
     } catch (error) {
       console.warn(`Warning: Could not scan file ${filePath}:`, error.message);
       return { file: filePath, features: [], matches: {}, error: error.message };
     }
   }
 
+  // Moves occurrences covered by a caniuse-ignore comment or guarded by a
+  // feature test out of matches into suppressed; features used only there
+  // drop out of the file's feature list
+  _applySuppressions(fileResult, suppressions = []) {
+    const ranges = suppressions.map(suppression => ({
+      ...suppression,
+      features: suppression.features.length > 0
+        ? new Set(suppression.features.map(feature => this.registry.canonicalize(feature)))
+        : null
+    }));
+    const matches = {};
+    const suppressed = {};
+
+    for (const [feature, featureMatches] of Object.entries(fileResult.matches)) {
+      for (const match of featureMatches) {
+        const range = ranges.find(r => match.line >= r.startLine && match.line <= r.endLine && (!r.features || r.features.has(feature)));
+        let target = matches;
+        let entry = match;
+        if (range) {
+          target = suppressed;
+          entry = { ...match, suppressedBy: { type: 'comment', directive: range.directive, commentLine: range.line } };
+        } else if (match.guard) {
+          const { guard, ...rest } = match;
+          target = suppressed;
+          entry = { ...rest, suppressedBy: { type: 'guard', guard } };
+        }
+        if (!target[feature]) target[feature] = [];
+        target[feature].push(entry);
+      }
+    }
+
+    return { ...fileResult, features: Object.keys(matches), matches, suppressed };
+  }
+
+  // Pattern-matching fallback: a caniuse-ignore comment after code covers its
+  // line, otherwise the next non-blank line
+  _findCommentSuppressions(content) {
+    const lines = content.split('\n');
+    const suppressions = [];
+
+    lines.forEach((text, index) => {
+      const comment = text.match(/(\/\*|\/\/)(.*?)(\*\/|$)/);
+      const parsed = comment && parseSuppressionComment(comment[2]);
+      if (!parsed) return;
+
+      const line = index + 1;
+      if (parsed.file || text.slice(0, comment.index).trim()) {
+        suppressions.push(createSuppression(parsed, line, line, line));
+        return;
+      }
+      const nextIndex = lines.findIndex((next, i) => i > index && next.trim());
+      if (nextIndex !== -1) {
+        suppressions.push(createSuppression(parsed, line, nextIndex + 1, nextIndex + 1));
+      }
+    });
+    return suppressions;
+  }
+
   _getLineNumber(content, index) {
     return content.substring(0, index).split('\n').length;
   }
@@ -189,8 +525,8 @@ export class ProjectScanner {
     return {
       critical: ['flexbox', 'css-grid', 'es6-class', 'arrow-functions'],
       high: ['css-variables', 'const', 'let', 'template-literals'],
-      medium: ['css-transforms', 'css-transitions', 'destructuring', 'spread-syntax'],
-      low: ['css-filters', 'css-masks', 'for-of', 'array-includes']
+      medium: ['css-transforms', 'transforms2d', 'css-transitions', 'mdn-javascript_operators_destructuring', 'mdn-javascript_operators_spread', 'mdn-javascript_operators_optional_chaining', 'mdn-javascript_operators_nullish_coalescing'],
+      low: ['css-filters', 'css-masks', 'mdn-javascript_statements_for_of', 'array-includes', 'mdn-javascript_operators_exponentiation']
     };
   }
 
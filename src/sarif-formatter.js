@@ -0,0 +1,155 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { FixGenerator } from './fix-generator.js';
+
+const require = createRequire(import.meta.url);
+const { name: toolName, version: toolVersion, homepage } = require('../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Fix priorities -> SARIF result levels
+const LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+// Renders a project compatibility check as a SARIF 2.1.0 log so code scanning
+// tools (GitHub, Azure DevOps, IDE viewers) can annotate the offending lines.
+// One rule per unsupported feature, one result per match the scanner found.
+export class SarifFormatter {
+  constructor(fixGenerator = new FixGenerator()) {
+    this.fixGenerator = fixGenerator;
+    this.registry = fixGenerator.registry;
+  }
+
+  format(checkResult, projectPath = '.') {
+    const issues = checkResult.summary?.criticalIssues || [];
+    const featureDetails = checkResult.featureDetails || new Map();
+    const rules = issues.map(issue => this._buildRule(issue.feature));
+
+    const results = [];
+    issues.forEach((issue, ruleIndex) => {
+      const rule = rules[ruleIndex];
+
+      for (const occurrence of featureDetails.get(issue.feature) || []) {
+        // With per-path config sections, only the targets of the file's own section count
+        const targets = checkResult.scopes
+          ? issue.targets.filter(target => checkResult.scopes[occurrence.scope ?? 'default']?.targetKeys.includes(target))
+          : issue.targets;
+        if (targets.length === 0) continue;
+
+        const message = this._describeIssue({ ...issue, targets }, checkResult.compatibility);
+        const uri = this._toUri(projectPath, occurrence.file);
+        const matches = occurrence.matches.length > 0 ? occurrence.matches : [{}];
+        for (const match of matches) {
+          results.push({
+            ruleId: rule.id,
+            ruleIndex,
+            level: rule.defaultConfiguration.level,
+            message: { text: message },
+            locations: [this._buildLocation(uri, match)]
+          });
+        }
+      }
+    });
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: toolName,
+            version: toolVersion,
+            ...(homepage && { informationUri: homepage }),
+            rules
+          }
+        },
+        originalUriBaseIds: {
+          SRCROOT: { uri: `${pathToFileURL(path.resolve(projectPath)).href}/` }
+        },
+        results,
+        properties: {
+          targets: checkResult.targets || [],
+          ...(checkResult.summary && { overallScore: checkResult.summary.overallScore })
+        }
+      }]
+    };
+  }
+
+  _buildRule(feature) {
+    const fixInfo = this.fixGenerator.fixDatabase[feature] ||
+      this.fixGenerator.fixDatabase[this.registry.canonicalize(feature)];
+    const priority = fixInfo?.priority;
+    const caniuseId = this.registry.get(feature)?.caniuse ?? (feature.includes('.') ? null : feature);
+
+    return {
+      id: feature,
+      name: feature,
+      shortDescription: { text: `${feature} is not supported by every target browser` },
+      helpUri: fixInfo?.documentation || (caniuseId ? `https://caniuse.com/${caniuseId}` : undefined),
+      help: { text: this._buildHelpText(feature, fixInfo) },
+      defaultConfiguration: { level: LEVELS[priority] || 'warning' },
+      properties: {
+        ...(priority && { priority }),
+        tags: ['compatibility']
+      }
+    };
+  }
+
+  _buildHelpText(feature, fixInfo) {
+    if (!fixInfo) {
+      return `No fix information available for ${feature}. Check caniuse.com or MDN for polyfills, or use progressive enhancement.`;
+    }
+
+    const lines = [];
+    if (fixInfo.alternatives?.length) {
+      lines.push(`Alternatives: ${fixInfo.alternatives.join(', ')}`);
+    }
+    if (fixInfo.polyfills?.length) {
+      lines.push(`Polyfills: ${fixInfo.polyfills.join(', ')}`);
+    }
+    if (fixInfo.buildSteps?.length) {
+      lines.push(`Build steps: ${fixInfo.buildSteps.join('; ')}`);
+    }
+    if (fixInfo.documentation) {
+      lines.push(`Documentation: ${fixInfo.documentation}`);
+    }
+    return lines.join('\n');
+  }
+
+  // "css-grid is not supported by chrome-37, ie-11 (chrome-37: No support)"
+  _describeIssue(issue, compatibility = {}) {
+    const described = issue.targets
+      .map(target => ({ target, detail: compatibility[target]?.details?.find(d => d.feature === issue.feature) }))
+      .find(({ detail }) => detail?.description);
+    const suffix = described ? ` (${described.target}: ${described.detail.description})` : '';
+    return `${issue.feature} is not supported by ${issue.targets.join(', ')}${suffix}`;
+  }
+
+  _buildLocation(uri, match) {
+    const region = {};
+    if (match.line) {
+      region.startLine = match.line;
+      if (match.column) region.startColumn = match.column;
+      if (match.match) region.snippet = { text: match.match };
+    }
+
+    return {
+      physicalLocation: {
+        artifactLocation: { uri, uriBaseId: 'SRCROOT' },
+        ...(region.startLine && { region })
+      }
+    };
+  }
+
+  _toUri(projectPath, file) {
+    return path.relative(path.resolve(projectPath), path.resolve(file))
+      .split(path.sep)
+      .map(encodeURIComponent)
+      .join('/');
+  }
+}
@@ -0,0 +1,147 @@
+import { readFile } from 'fs/promises';
+import { dirname, isAbsolute, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64].map((char, index) => [char, index]));
+
+// "AAAA,SAAS;AACA" -> per generated line, segments of
+// [generatedColumn, sourceIndex, originalLine, originalColumn] (all 0-based)
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+
+  for (const line of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+    for (const encoded of line.split(',')) {
+      if (!encoded) continue;
+      const values = decodeVlq(encoded);
+      generatedColumn += values[0];
+      if (values.length >= 4) {
+        sourceIndex += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        segments.push([generatedColumn, sourceIndex, originalLine, originalColumn]);
+      } else {
+        segments.push([generatedColumn]);
+      }
+    }
+    lines.push(segments.sort((a, b) => a[0] - b[0]));
+  }
+  return lines;
+}
+
+function decodeVlq(encoded) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of encoded) {
+    const digit = BASE64_VALUES.get(char);
+    if (digit === undefined) throw new Error(`Invalid character "${char}" in source map mappings`);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+// A version 3 source map, including index maps made of sections
+export class SourceMap {
+  // file: where the map came from, for resolving relative sources
+  constructor(map, file) {
+    this.file = file;
+    if (Array.isArray(map.sections)) {
+      this.sections = map.sections.map(section => ({
+        line: section.offset?.line || 0,
+        column: section.offset?.column || 0,
+        map: new SourceMap(section.map, file)
+      }));
+      return;
+    }
+
+    const root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+    this.sources = (map.sources || []).map(source => source === null ? null : root + source);
+    this.lines = decodeMappings(map.mappings || '');
+  }
+
+  // 1-based line and column in the bundle -> { source, line, column } or null
+  originalPositionFor(line, column) {
+    if (this.sections) {
+      const section = this.sections.findLast(candidate =>
+        candidate.line < line - 1 || (candidate.line === line - 1 && candidate.column <= column - 1)
+      );
+      if (!section) return null;
+      return section.map.originalPositionFor(
+        line - section.line,
+        line - 1 === section.line ? column - section.column : column
+      );
+    }
+
+    const segments = this.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Last segment starting at or before the column
+    let low = 0;
+    let high = segments.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (segments[middle][0] <= column - 1) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    const segment = segments[found];
+    if (!segment || segment.length < 4 || !this.sources[segment[1]]) return null;
+
+    return { source: this.sources[segment[1]], line: segment[2] + 1, column: segment[3] + 1 };
+  }
+
+  // Bundler URLs ("webpack://app/./src/index.js") are relative to the project,
+  // plain relative paths to the map itself
+  resolveSource(source, projectRoot) {
+    if (source.startsWith('file://')) return fileURLToPath(source);
+    const bundlerUrl = source.match(/^[a-z][\w+.-]*:\/\/[^/]*\/(.*)$/i);
+    if (bundlerUrl) return resolve(projectRoot, bundlerUrl[1].replace(/\?.*$/, ''));
+    if (isAbsolute(source)) return source;
+    return resolve(dirname(this.file), source);
+  }
+}
+
+// The map named by a bundle's sourceMappingURL comment (a file or a data: URL),
+// else "<bundle>.map" next to it; null when there is none
+export async function loadSourceMap(bundlePath, content) {
+  const comments = [...content.matchAll(/[#@]\s*sourceMappingURL=([^\s'"*]+)/g)];
+  const url = comments.length > 0 ? comments[comments.length - 1][1] : null;
+
+  try {
+    if (url?.startsWith('data:')) {
+      const [header, data] = url.slice(5).split(',', 2);
+      const json = header.endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+      return new SourceMap(JSON.parse(json), bundlePath);
+    }
+
+    const mapPath = url ? resolve(dirname(bundlePath), decodeURIComponent(url)) : `${bundlePath}.map`;
+    let text;
+    try {
+      text = await readFile(mapPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && !url) return null;
+      throw error;
+    }
+    return new SourceMap(JSON.parse(text), mapPath);
+  } catch (error) {
+    console.warn(`Warning: Could not read the source map for ${bundlePath}: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,26 @@
+// Inline suppression comments, shared by the JS and CSS detectors:
+//
+//   caniuse-ignore                  every feature on this line, or in the next statement/rule
+//   caniuse-ignore css-grid, gap    only the listed features
+//   caniuse-ignore-file             the whole file
+//
+// Anything after " -- " is a free-form reason.
+export function parseSuppressionComment(text) {
+  const match = text.replace(/^[\s*]+/, '').match(/^caniuse-ignore(-file)?(?=\s|$)([\s\S]*)$/);
+  if (!match) return null;
+
+  const [list] = match[2].split(/\s--\s|\s--$/);
+  const features = list.split(/[\s,*]+/).filter(Boolean);
+  return {
+    file: Boolean(match[1]),
+    features,
+    directive: `caniuse-ignore${match[1] || ''}${features.length > 0 ? ` ${features.join(', ')}` : ''}`
+  };
+}
+
+// A suppression covering lines startLine..endLine of a file
+export function createSuppression(parsed, line, startLine, endLine) {
+  return parsed.file
+    ? { directive: parsed.directive, features: parsed.features, line, startLine: 1, endLine: Infinity }
+    : { directive: parsed.directive, features: parsed.features, line, startLine, endLine };
+}
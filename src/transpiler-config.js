@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import browserslist from 'browserslist';
+
+const BABEL_CONFIG_FILES = [
+  'babel.config.json', 'babel.config.js', 'babel.config.cjs', 'babel.config.mjs',
+  '.babelrc', '.babelrc.json', '.babelrc.js', '.babelrc.cjs', '.babelrc.mjs'
+];
+// Presets that run @babel/preset-env, taking its targets from browserslist unless given some
+const ENV_PRESETS = [
+  '@babel/preset-env', '@babel/env', 'babel-preset-env', 'env',
+  'next/babel', 'babel-preset-react-app', 'react-app', '@vue/cli-plugin-babel/preset', '@vue/app'
+];
+const BABEL_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+const EDITIONS = ['es3', 'es5', 'es2015', 'es2016', 'es2017', 'es2018', 'es2019', 'es2020', 'es2021', 'es2022', 'es2023', 'esnext'];
+
+// "ES6" -> "es2015"; unknown targets are treated as ESNext (nothing rewritten)
+export function editionRank(edition) {
+  const normalized = String(edition).toLowerCase().replace(/^es6$/, 'es2015');
+  const rank = EDITIONS.indexOf(normalized);
+  return rank === -1 ? EDITIONS.length - 1 : rank;
+}
+
+// tsconfig.json allows comments and trailing commas
+function parseJsonc(text) {
+  const withoutComments = text.replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+  return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// preset-env "targets": a query, a list of queries or { chrome: "58", browsers: "...", esmodules: true }
+function targetsToQuery(targets) {
+  if (typeof targets === 'string') return targets;
+  if (Array.isArray(targets)) return targets.join(', ');
+  if (!targets || typeof targets !== 'object') return null;
+
+  const queries = [];
+  for (const [key, value] of Object.entries(targets)) {
+    if (key === 'browsers') {
+      queries.push([].concat(value).join(', '));
+    } else if (key === 'esmodules' && value === true) {
+      queries.push('supports es6-module');
+    } else if (key !== 'node' && key !== 'esmodules' && (typeof value === 'string' || typeof value === 'number')) {
+      queries.push(`${key} ${value}`);
+    }
+  }
+  return queries.length > 0 ? queries.join(', ') : null;
+}
+
+// The Babel and TypeScript setups that decide which syntax reaches the browser.
+// Configs are read, never executed: JavaScript Babel configs are searched for
+// the preset and a literal "targets" value.
+export class TranspilerConfig {
+  // [{ tool: 'babel', file, targets, extensions }] or
+  // [{ tool: 'typescript', file, target, edition, extensions }]; babel targets
+  // is a browserslist query, or null when everything is compiled down to ES5
+  async load(projectPath) {
+    const root = path.resolve(projectPath);
+    return [this._loadBabel(root), this._loadTypeScript(root)].filter(Boolean);
+  }
+
+  _loadBabel(root) {
+    let found = null;
+    for (const name of BABEL_CONFIG_FILES) {
+      const file = path.join(root, name);
+      if (fs.existsSync(file)) {
+        found = { file: name, ...this._readBabelFile(file) };
+        break;
+      }
+    }
+    if (!found) {
+      const manifest = this._readJson(path.join(root, 'package.json'));
+      if (manifest?.babel) {
+        found = { file: 'package.json', ...this._fromBabelOptions(manifest.babel) };
+      }
+    }
+    if (!found?.presetEnv) return null;
+
+    let targets = found.targets;
+    if (!targets && !found.ignoreBrowserslistConfig) {
+      const queries = browserslist.loadConfig({ path: root });
+      targets = queries ? [].concat(queries).join(', ') : null;
+    }
+    return { tool: 'babel', file: found.file, targets, extensions: BABEL_EXTENSIONS };
+  }
+
+  _readBabelFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.json') || path.basename(file) === '.babelrc') {
+      try {
+        return this._fromBabelOptions(parseJsonc(text));
+      } catch (error) {
+        console.warn(`Warning: Could not parse ${file}: ${error.message}`);
+        return { presetEnv: false };
+      }
+    }
+
+    const presetEnv = ENV_PRESETS.some(name => text.includes(`'${name}'`) || text.includes(`"${name}"`));
+    const literal = text.match(/\btargets['"]?\s*:\s*('[^']*'|"[^"]*"|\[[^\]]*\]|\{[^}]*\})/);
+    let targets = null;
+    if (literal) {
+      try {
+        // Object keys and single quotes -> JSON
+        targets = targetsToQuery(parseJsonc(literal[1]
+          .replace(/'([^']*)'/g, (match, value) => JSON.stringify(value))
+          .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')));
+      } catch (error) {
+        targets = null;
+      }
+    }
+    return { presetEnv, targets, ignoreBrowserslistConfig: /ignoreBrowserslistConfig\s*:\s*true/.test(text) };
+  }
+
+  _fromBabelOptions(options) {
+    const presets = options?.presets || [];
+    const preset = presets
+      .map(entry => Array.isArray(entry) ? entry : [entry, {}])
+      .find(([name]) => typeof name === 'string' && ENV_PRESETS.includes(name));
+    const presetOptions = preset?.[1] || {};
+    return {
+      presetEnv: Boolean(preset),
+      targets: targetsToQuery(presetOptions.targets ?? options.targets),
+      ignoreBrowserslistConfig: presetOptions.ignoreBrowserslistConfig === true
+    };
+  }
+
+  _loadTypeScript(root) {
+    const file = path.join(root, 'tsconfig.json');
+    if (!fs.existsSync(file)) return null;
+
+    const options = this._readCompilerOptions(file, new Set());
+    // With noEmit another tool (usually Babel) compiles the sources
+    if (options.noEmit) return null;
+
+    const target = options.target || 'ES5';
+    return {
+      tool: 'typescript',
+      file: 'tsconfig.json',
+      target,
+      edition: EDITIONS[editionRank(target)],
+      extensions: options.allowJs ? BABEL_EXTENSIONS : ['.ts', '.tsx']
+    };
+  }
+
+  // compilerOptions, following relative "extends"
+  _readCompilerOptions(file, seen) {
+    if (seen.has(file)) return {};
+    seen.add(file);
+
+    let tsconfig;
+    try {
+      tsconfig = parseJsonc(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`Warning: Could not parse ${file}: ${error.message}`);
+      return {};
+    }
+
+    const base = [].concat(tsconfig.extends || [])
+      .filter(parent => typeof parent === 'string' && parent.startsWith('.'))
+      .map(parent => path.resolve(path.dirname(file), parent.endsWith('.json') ? parent : `${parent}.json`))
+      .filter(parent => fs.existsSync(parent))
+      .reduce((options, parent) => ({ ...options, ...this._readCompilerOptions(parent, seen) }), {});
+    return { ...base, ...tsconfig.compilerOptions };
+  }
+
+  _readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { matchVersionKey, resolveVersion } from './version-resolver.js';
+
+const require = createRequire(import.meta.url);
+
+// Browser usage shares (percent of all users) per browser version: global from
+// the feature dataset's agents, per country/region from caniuse-lite, or
+// "custom" from a browserslist stats.json named in the config.
+export class UsageData {
+  constructor(client) {
+    this.client = client;
+    this.shares = new Map();
+    this.caniuseLiteRoot = path.dirname(require.resolve('caniuse-lite/package.json'));
+  }
+
+  // "global", "custom", a country code ("US") or a caniuse region ("alt-eu")
+  async getShares(region = 'global') {
+    if (!this.shares.has(region)) {
+      let shares;
+      if (region === 'global') {
+        shares = await this._loadGlobalShares();
+      } else if (region === 'custom') {
+        shares = await this._loadCustomShares();
+      } else {
+        shares = this._loadRegionShares(region);
+      }
+      this.shares.set(region, shares);
+    }
+    return this.shares.get(region);
+  }
+
+  async _loadCustomShares() {
+    const statsPath = await this.client.configManager.getUsageStatsPath();
+    if (!statsPath) {
+      throw new Error('Usage "custom" needs usage.statsFile in .caniuse-config.json');
+    }
+
+    const stats = JSON.parse(await fs.promises.readFile(statsPath, 'utf8'));
+    // browserslist accepts both the plain and the wrapped stats.json layout
+    const shares = stats.dataByBrowser || stats;
+    if (!shares || typeof shares !== 'object' || Array.isArray(shares)) {
+      throw new Error(`${statsPath} is not a browserslist stats file (expected { "chrome": { "120": 12.5 } })`);
+    }
+    return shares;
+  }
+
+  async _loadGlobalShares() {
+    const agents = await this.client.getAgents();
+    if (!agents) {
+      throw new Error('None of the configured data sources provides browser usage data');
+    }
+    return Object.fromEntries(
+      Object.entries(agents).map(([browser, agent]) => [browser, agent.usage_global || {}])
+    );
+  }
+
+  _loadRegionShares(region) {
+    const code = /^alt-/i.test(region) ? region.toLowerCase() : region.toUpperCase();
+    const regionPath = path.join(this.caniuseLiteRoot, 'data', 'regions', `${code}.js`);
+    if (!/^(alt-[a-z]{2}|[A-Z]{2})$/.test(code) || !fs.existsSync(regionPath)) {
+      throw new Error(`Unknown usage region "${region}" (expected "global", a country code such as "US", or a caniuse region such as "alt-eu")`);
+    }
+
+    const unpackRegion = require(path.join(this.caniuseLiteRoot, 'dist', 'unpacker', 'region.js'));
+    return unpackRegion(require(regionPath));
+  }
+
+  // Share of users on one browser version; versions are matched like support
+  // lookups, so "15.2" finds the "15.2-15.3" entry
+  async getUsage(browser, version, region = 'global') {
+    const browserShares = (await this.getShares(region))[browser];
+    if (!browserShares) return 0;
+
+    const resolved = resolveVersion(browser, version);
+    const key = resolved && matchVersionKey(Object.keys(browserShares), resolved);
+    if (key) {
+      return browserShares[key] || 0;
+    }
+
+    // Regional data keys evergreen mobile browsers (and_chr, and_ff, ...) as
+    // version "0", meaning the current release
+    if ('0' in browserShares && resolved === resolveVersion(browser, 'latest')) {
+      return browserShares['0'] || 0;
+    }
+    return 0;
+  }
+}
@@ -0,0 +1,91 @@
+import browserslist from 'browserslist';
+
+// caniuse keys support data by version, range ("15.2-15.3"), "TP" (Safari
+// Technology Preview) or "all" (Opera Mini). These helpers map a requested
+// browser version onto those keys without guessing.
+
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => Number(part) || 0);
+  const right = String(b).split('.').map(part => Number(part) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+export function parseVersionKey(key) {
+  if (key === 'all') {
+    return { all: true };
+  }
+  if (/^tp$/i.test(key)) {
+    return { preview: true };
+  }
+  const [min, max = min] = String(key).split('-');
+  return { min, max };
+}
+
+function queryVersions(query) {
+  try {
+    return browserslist(query).map(entry => entry.split(' ')[1]);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Turns a requested version into a concrete one. Understands "latest",
+// "latest-N" (N releases back), "esr" (Firefox Extended Support Release) and
+// "tp"/"preview"; returns null when an alias can't be resolved for the browser.
+export function resolveVersion(browser, version) {
+  const requested = String(version).trim().toLowerCase();
+
+  if (requested === 'tp' || requested === 'preview') {
+    return 'TP';
+  }
+
+  const latest = requested.match(/^latest(?:-(\d+))?$/);
+  if (latest) {
+    const back = Number(latest[1] || 0);
+    return queryVersions(`last ${back + 1} ${browser} versions`)[back] || null;
+  }
+
+  if (requested === 'esr') {
+    // Older ESR first while two branches overlap - it is the stricter target
+    const releases = queryVersions(`${browser} esr`).sort(compareVersions);
+    return releases[0] || null;
+  }
+
+  return String(version);
+}
+
+// Finds the key covering a concrete version: an exact key, a range containing
+// it, or "all". "15.2.1" falls under "15.2"; versions absent from the data
+// return null rather than the nearest neighbour.
+export function matchVersionKey(keys, version) {
+  if (keys.includes(version)) {
+    return version;
+  }
+
+  let best = null;
+  for (const key of keys) {
+    const parsed = parseVersionKey(key);
+    if (parsed.all) {
+      best = best || key;
+      continue;
+    }
+    if (parsed.preview || version === 'TP') {
+      continue;
+    }
+
+    const depth = Math.max(parsed.min.split('.').length, parsed.max.split('.').length);
+    const truncated = String(version).split('.').slice(0, depth).join('.');
+    const covers = compareVersions(version, parsed.min) >= 0 && compareVersions(truncated, parsed.max) <= 0;
+
+    // "15" and "15.5" both cover 15.5.1 - the more specific key wins
+    if (covers && (!best || best === 'all' || compareVersions(parsed.min, parseVersionKey(best).min) > 0)) {
+      best = key;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,257 @@
+// Recognizes browser API and built-in usage in a Babel AST: global constructors
+// and functions, members of window/navigator/document, static methods on
+// built-ins and prototype methods with distinctive names.
+export class WebApiDetector {
+  constructor() {
+    // Global name -> feature ID (used via new, call, member access or window.X)
+    this.globals = {
+      'fetch': 'fetch',
+      'Headers': 'fetch',
+      'Request': 'fetch',
+      'Response': 'fetch',
+      'IntersectionObserver': 'intersectionobserver',
+      'ResizeObserver': 'resizeobserver',
+      'MutationObserver': 'mutationobserver',
+      'URL': 'url',
+      'URLSearchParams': 'urlsearchparams',
+      'AbortController': 'abortcontroller',
+      'structuredClone': 'mdn-api_structuredclone',
+      'queueMicrotask': 'mdn-api_queuemicrotask',
+      'requestAnimationFrame': 'requestanimationframe',
+      'requestIdleCallback': 'requestidlecallback',
+      'BroadcastChannel': 'broadcastchannel',
+      'WebSocket': 'websockets',
+      'Worker': 'webworkers',
+      'SharedWorker': 'sharedworkers',
+      'EventSource': 'eventsource',
+      'TextEncoder': 'textencoder',
+      'TextDecoder': 'textencoder',
+      'Proxy': 'proxy',
+      'Symbol': 'mdn-javascript_builtins_symbol',
+      'Map': 'mdn-javascript_builtins_map',
+      'Set': 'mdn-javascript_builtins_set',
+      'WeakMap': 'mdn-javascript_builtins_weakmap',
+      'WeakRef': 'mdn-javascript_builtins_weakref',
+      'customElements': 'custom-elementsv1',
+      'matchMedia': 'matchmedia',
+      'getComputedStyle': 'getcomputedstyle',
+      'localStorage': 'namevalue-storage',
+      'sessionStorage': 'namevalue-storage',
+      'indexedDB': 'indexeddb',
+      'Notification': 'notifications',
+      'PaymentRequest': 'payment-request',
+      'OffscreenCanvas': 'offscreencanvas'
+    };
+
+    // Object.member -> feature ID for well-known host objects and built-ins
+    this.members = {
+      'navigator.clipboard': 'async-clipboard',
+      'navigator.serviceWorker': 'serviceworkers',
+      'navigator.geolocation': 'geolocation',
+      'navigator.share': 'web-share',
+      'navigator.sendBeacon': 'beacon',
+      'navigator.vibrate': 'vibration',
+      'navigator.getBattery': 'battery-status',
+      'navigator.bluetooth': 'web-bluetooth',
+      'navigator.usb': 'webusb',
+      'navigator.gpu': 'webgpu',
+      'navigator.getGamepads': 'gamepad',
+      'navigator.onLine': 'online-status',
+      'navigator.wakeLock': 'mdn-api_wakelock',
+      'document.querySelector': 'queryselector',
+      'document.querySelectorAll': 'queryselector',
+      'document.getElementsByClassName': 'getelementsbyclassname',
+      'document.fullscreenElement': 'fullscreen',
+      'document.exitFullscreen': 'fullscreen',
+      'document.visibilityState': 'pagevisibility',
+      'document.hidden': 'pagevisibility',
+      'document.scrollingElement': 'document-scrollingelement',
+      'document.startViewTransition': 'view-transitions',
+      'crypto.getRandomValues': 'getrandomvalues',
+      'crypto.randomUUID': 'mdn-api_crypto_randomuuid',
+      'crypto.subtle': 'cryptography',
+      'Intl.PluralRules': 'intl-pluralrules',
+      'AbortSignal.timeout': 'mdn-api_abortsignal_timeout',
+      'Promise.allSettled': 'mdn-javascript_builtins_promise_allsettled',
+      'Promise.any': 'mdn-javascript_builtins_promise_any',
+      'Object.entries': 'object-entries',
+      'Object.values': 'object-values',
+      'Object.fromEntries': 'mdn-javascript_builtins_object_fromentries',
+      'Array.from': 'mdn-javascript_builtins_array_from',
+      'Array.of': 'mdn-javascript_builtins_array_of',
+      'Number.isInteger': 'es6-number',
+      'Number.isNaN': 'es6-number',
+      'Number.isFinite': 'es6-number'
+    };
+
+    // Prototype method or property name -> feature ID. Receivers are unknown without
+    // type information, so generic names are reported with low confidence.
+    this.prototypeMembers = {
+      'flat': { featureId: 'array-flat', confidence: 'low' },
+      'flatMap': { featureId: 'array-flat' },
+      'find': { featureId: 'array-find', confidence: 'low' },
+      'findIndex': { featureId: 'array-find-index', confidence: 'low' },
+      'findLast': { featureId: 'mdn-javascript_builtins_array_findlast' },
+      'at': { featureId: 'mdn-javascript_builtins_array_at', confidence: 'low' },
+      'replaceAll': { featureId: 'mdn-javascript_builtins_string_replaceall' },
+      'padStart': { featureId: 'mdn-javascript_builtins_string_padstart' },
+      'padEnd': { featureId: 'mdn-javascript_builtins_string_padend' },
+      'matchAll': { featureId: 'mdn-javascript_builtins_string_matchall' },
+      'finally': { featureId: 'promise-finally', confidence: 'low' },
+      'closest': { featureId: 'element-closest' },
+      'classList': { featureId: 'classlist', property: true },
+      'dataset': { featureId: 'dataset', property: true },
+      'scrollIntoView': { featureId: 'scrollintoview' },
+      'animate': { featureId: 'web-animation', confidence: 'low' },
+      'attachShadow': { featureId: 'shadowdomv1' },
+      'requestFullscreen': { featureId: 'fullscreen' }
+    };
+
+    this.globalObjects = new Set(['window', 'self', 'globalThis']);
+  }
+
+  // Names declared anywhere in the file shadow globals of the same name
+  // (e.g. `import fetch from 'node-fetch'`)
+  collectBindings(node, bindings = new Set()) {
+    if (!node || typeof node.type !== 'string') return bindings;
+
+    switch (node.type) {
+      case 'ImportSpecifier':
+      case 'ImportDefaultSpecifier':
+      case 'ImportNamespaceSpecifier':
+        bindings.add(node.local.name);
+        break;
+      case 'VariableDeclarator':
+        this._collectPatternNames(node.id, bindings);
+        break;
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+        if (node.id) bindings.add(node.id.name);
+        break;
+    }
+
+    if (node.params) {
+      node.params.forEach(param => this._collectPatternNames(param, bindings));
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key.endsWith('Comments')) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.collectBindings(item, bindings));
+      } else if (child && typeof child.type === 'string') {
+        this.collectBindings(child, bindings);
+      }
+    }
+    return bindings;
+  }
+
+  _collectPatternNames(pattern, bindings) {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        bindings.add(pattern.name);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(p => this._collectPatternNames(p.type === 'RestElement' ? p : p.value, bindings));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(e => this._collectPatternNames(e, bindings));
+        break;
+      case 'RestElement':
+        this._collectPatternNames(pattern.argument, bindings);
+        break;
+      case 'AssignmentPattern':
+        this._collectPatternNames(pattern.left, bindings);
+        break;
+      case 'TSParameterProperty':
+        this._collectPatternNames(pattern.parameter, bindings);
+        break;
+    }
+  }
+
+  // Returns detections ({ name, featureId, confidence? }) for a single node
+  classify(node, parent, bindings) {
+    const found = [];
+
+    if (node.type === 'Identifier' && this._isGlobalReference(node, parent, bindings)) {
+      const featureId = this.globals[node.name];
+      if (featureId) {
+        found.push({ name: node.name, featureId });
+      }
+    }
+
+    if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+      if (node.computed || node.property.type !== 'Identifier') return found;
+
+      const propertyName = node.property.name;
+      const objectName = node.object.type === 'Identifier' ? node.object.name : null;
+      const isGlobalObject = objectName && !bindings.has(objectName);
+
+      if (isGlobalObject && this.globalObjects.has(objectName) && this.globals[propertyName]) {
+        found.push({ name: `${objectName}.${propertyName}`, featureId: this.globals[propertyName] });
+        return found;
+      }
+
+      const memberPath = objectName ? `${objectName}.${propertyName}` : null;
+      const windowMember = this._windowMemberPath(node);
+      const knownMember = (isGlobalObject && this.members[memberPath]) ? memberPath
+        : (windowMember && this.members[windowMember] ? windowMember : null);
+
+      if (knownMember) {
+        found.push({ name: knownMember, featureId: this.members[knownMember] });
+        return found;
+      }
+
+      const prototypeMember = this.prototypeMembers[propertyName];
+      const isCalled = (parent?.type === 'CallExpression' || parent?.type === 'OptionalCallExpression') && parent.callee === node;
+      if (prototypeMember && (prototypeMember.property || isCalled) && !this._isBuiltinNamespace(objectName)) {
+        const detection = { name: `.${propertyName}`, featureId: prototypeMember.featureId };
+        if (prototypeMember.confidence && node.object.type !== 'ArrayExpression') {
+          detection.confidence = prototypeMember.confidence;
+        }
+        found.push(detection);
+      }
+    }
+
+    return found;
+  }
+
+  // Feature ID for a global or member path used in a feature test:
+  // "window.IntersectionObserver", "navigator.share", "self.fetch"
+  resolvePath(path) {
+    const parts = path.split('.');
+    while (parts.length > 1 && this.globalObjects.has(parts[0])) {
+      parts.shift();
+    }
+    return parts.length === 1 ? this.globals[parts[0]] || null : this.members[parts.join('.')] || null;
+  }
+
+  // window.navigator.clipboard -> navigator.clipboard
+  _windowMemberPath(node) {
+    const object = node.object;
+    if (object.type !== 'MemberExpression' || object.computed) return null;
+    if (object.object.type !== 'Identifier' || !this.globalObjects.has(object.object.name)) return null;
+    return `${object.property.name}.${node.property.name}`;
+  }
+
+  _isBuiltinNamespace(objectName) {
+    return objectName && ['Object', 'Array', 'Promise', 'Number', 'Intl', 'Math', 'JSON', 'Reflect'].includes(objectName);
+  }
+
+  _isGlobalReference(node, parent, bindings) {
+    if (bindings.has(node.name) || !parent) return false;
+
+    switch (parent.type) {
+      case 'NewExpression':
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+        return parent.callee === node;
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return parent.object === node;
+      default:
+        return false;
+    }
+  }
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaselineSnapshot } from '../src/baseline-snapshot.js';
+
+const baselineSnapshot = new BaselineSnapshot();
+
+// A snapshot where every listed feature fails ie-11 at the given locations
+function snapshot(features) {
+  return {
+    version: 1,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    targets: ['ie-11'],
+    features: Object.fromEntries(Object.entries(features).map(([feature, locations]) => [
+      feature,
+      { targets: { 'ie-11': 'unsupported' }, locations }
+    ]))
+  };
+}
+
+const at = (line, match, column = 1, file = 'src/app.js') => ({ file, line, column, match });
+
+test('unchanged occurrences are neither moved nor new', () => {
+  const locations = [at(3, 'a?.b'), at(9, 'c?.d')];
+  const result = baselineSnapshot.compare(snapshot({ 'optional-chaining': locations }), snapshot({ 'optional-chaining': locations }));
+
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.summary, { introduced: 0, newOccurrences: 0, resolved: 0, moved: 0 });
+});
+
+test('lines inserted above shift occurrences without making them new', () => {
+  const result = baselineSnapshot.compare(
+    snapshot({ 'optional-chaining': [at(3, 'a?.b'), at(9, 'c?.d')] }),
+    snapshot({ 'optional-chaining': [at(5, 'a?.b'), at(11, 'c?.d')] })
+  );
+
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.moved[0].locations.map(move => [move.from.line, move.to.line]), [[3, 5], [9, 11]]);
+});
+
+test('a copy of existing code above it is the new occurrence, not the original', () => {
+  // The same snippet inserted at line 1 pushes the old ones down by one
+  const result = baselineSnapshot.compare(
+    snapshot({ 'optional-chaining': [at(2, 'a?.b'), at(4, 'a?.b')] }),
+    snapshot({ 'optional-chaining': [at(1, 'a?.b'), at(3, 'a?.b'), at(5, 'a?.b')] })
+  );
+
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.newOccurrences[0].locations.map(location => location.line), [1]);
+  assert.deepEqual(result.moved[0].locations.map(move => [move.from.line, move.to.line]), [[2, 3], [4, 5]]);
+});
+
+test('different code at a moved position is added, and the old code resolved', () => {
+  const result = baselineSnapshot.compare(
+    snapshot({ 'optional-chaining': [at(3, 'a?.b'), at(6, 'c?.d')] }),
+    snapshot({ 'optional-chaining': [at(4, 'a?.b'), at(6, 'e?.f')] })
+  );
+
+  assert.deepEqual(result.moved[0].locations.map(move => [move.from.line, move.to.line]), [[3, 4]]);
+  assert.deepEqual(result.newOccurrences[0].locations, [at(6, 'e?.f')]);
+  assert.equal(result.resolved[0].reason, 'occurrences-removed');
+  assert.deepEqual(result.resolved[0].locations, [at(6, 'c?.d')]);
+});
+
+test('moves are matched within a file only', () => {
+  const result = baselineSnapshot.compare(
+    snapshot({ 'optional-chaining': [at(3, 'a?.b', 1, 'src/a.js')] }),
+    snapshot({ 'optional-chaining': [at(3, 'a?.b', 1, 'src/b.js')] })
+  );
+
+  assert.deepEqual(result.newOccurrences[0].locations, [at(3, 'a?.b', 1, 'src/b.js')]);
+  assert.deepEqual(result.resolved[0].locations, [at(3, 'a?.b', 1, 'src/a.js')]);
+  assert.equal(result.moved.length, 0);
+});
+
+test('a feature failing a new target is introduced, one no longer used is resolved', () => {
+  const result = baselineSnapshot.compare(
+    snapshot({ 'fetch': [at(2, 'fetch(')] }),
+    snapshot({ 'css-grid': [at(1, 'display: grid', 3, 'src/app.css')] })
+  );
+
+  assert.deepEqual(result.introduced.map(issue => issue.feature), ['css-grid']);
+  assert.deepEqual(result.resolved.map(issue => [issue.feature, issue.reason]), [['fetch', 'no-longer-used']]);
+});
@@ -0,0 +1,115 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigManager } from '../src/config-manager.js';
+
+const roots = [];
+after(() => roots.forEach(root => fs.rmSync(root, { recursive: true, force: true })));
+
+// A project directory holding the given files (name -> JSON content)
+function project(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'caniuse-config-'));
+  roots.push(root);
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), JSON.stringify(content));
+  }
+  return root;
+}
+
+async function scopeMatcher(pattern) {
+  const root = project({ '.caniuse-config.json': { overrides: { [pattern]: { targets: ['chrome-90'] } } } });
+  const [scope] = await new ConfigManager(root).getPathScopes();
+  return scope.matcher;
+}
+
+test('"**/" in a path scope also matches no directory at all', async () => {
+  const matcher = await scopeMatcher('**/legacy/*.js');
+
+  assert.ok(matcher.test('legacy/a.js'));
+  assert.ok(matcher.test('src/legacy/a.js'));
+  assert.ok(matcher.test('src/app/legacy/a.js'));
+  assert.ok(!matcher.test('src/legacy/nested/a.js'));
+  assert.ok(!matcher.test('src/legacy.js'));
+});
+
+test('"{a,b}" in a path scope matches either alternative', async () => {
+  const matcher = await scopeMatcher('{apps,packages}/admin/**');
+
+  assert.ok(matcher.test('apps/admin/index.js'));
+  assert.ok(matcher.test('packages/admin/src/deep/file.js'));
+  assert.ok(!matcher.test('libs/admin/index.js'));
+  assert.ok(!matcher.test('apps/administration/x.js'));
+});
+
+test('glob metacharacters outside wildcards are matched literally', async () => {
+  const matcher = await scopeMatcher('src/*.min.{js,css}');
+
+  assert.ok(matcher.test('src/app.min.js'));
+  assert.ok(matcher.test('src/app.min.css'));
+  assert.ok(!matcher.test('src/appxminxjs'));
+  assert.ok(!matcher.test('src/nested/app.min.js'));
+});
+
+test('a scope naming a directory covers the files below it', async () => {
+  const root = project({ '.caniuse-config.json': { overrides: { './apps/kiosk/': { targets: ['ie-11'] } } } });
+  const resolveScope = await new ConfigManager(root).getScopeResolver();
+
+  assert.equal(resolveScope(path.join(root, 'apps/kiosk/src/main.js'))?.name, './apps/kiosk/');
+  assert.equal(resolveScope(path.join(root, 'apps/kiosk-admin/main.js')), null);
+});
+
+test('"!name" drops a polyfill an earlier layer added', async () => {
+  const root = project({
+    'shared/.caniuse-config.json': { polyfills: ['core-js', 'whatwg-fetch'] },
+    '.caniuse-config.json': { extends: './shared', polyfills: ['!whatwg-fetch', 'intersection-observer', 'core-js'] }
+  });
+  const config = await new ConfigManager(root).loadConfig();
+
+  assert.deepEqual(config.polyfills, ['core-js', 'intersection-observer']);
+});
+
+test('a null override removes an inherited one, in path sections too', async () => {
+  const root = project({
+    'shared/.caniuse-config.json': {
+      overrides: {
+        'css-grid': 'supported',
+        'flexbox': 'supported',
+        'apps/**': { polyfills: ['core-js'], overrides: { 'promises': 'supported', 'fetch': 'supported' } }
+      }
+    },
+    '.caniuse-config.json': {
+      extends: './shared',
+      overrides: {
+        'css-grid': null,
+        'apps/**': { polyfills: ['!core-js', 'whatwg-fetch'], overrides: { 'fetch': null } }
+      }
+    }
+  });
+  const config = await new ConfigManager(root).loadConfig();
+
+  assert.deepEqual(config.overrides, {
+    'flexbox': 'supported',
+    'apps/**': { polyfills: ['whatwg-fetch'], overrides: { 'promises': 'supported' } }
+  });
+});
+
+test('custom targets merge by name and are replaced as a whole', async () => {
+  const root = project({
+    'shared/.caniuse-config.json': {
+      customTargets: {
+        'kiosk': { browser: 'chrome', version: '60' },
+        'office': { browser: 'ie', version: '11' }
+      }
+    },
+    '.caniuse-config.json': { extends: './shared', customTargets: { 'kiosk': { browser: 'firefox', version: '78' } } }
+  });
+  const config = await new ConfigManager(root).loadConfig();
+
+  assert.deepEqual(config.customTargets, {
+    'kiosk': { browser: 'firefox', version: '78' },
+    'office': { browser: 'ie', version: '11' }
+  });
+});
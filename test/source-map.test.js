@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SourceMap, loadSourceMap } from '../src/source-map.js';
+
+test('decodes VLQ segments relative to the previous one', () => {
+  // "AAAA,SAAS;AACA": column 0 -> 1:1, column 9 -> 1:10, next line -> 2:10
+  const map = new SourceMap({ version: 3, sources: ['src/a.js'], mappings: 'AAAA,SAAS;AACA' }, '/project/dist/app.js');
+
+  assert.deepEqual(map.originalPositionFor(1, 1), { source: 'src/a.js', line: 1, column: 1 });
+  assert.deepEqual(map.originalPositionFor(1, 12), { source: 'src/a.js', line: 1, column: 10 });
+  assert.deepEqual(map.originalPositionFor(2, 1), { source: 'src/a.js', line: 2, column: 10 });
+  assert.equal(map.originalPositionFor(3, 1), null);
+});
+
+test('decodes multi-digit and negative values', () => {
+  // "gBAAgB" is +16 for both columns, "DAAD" steps both back by one
+  const map = new SourceMap({ version: 3, sources: ['a.js'], mappings: 'gBAAgB,DAAD' }, '/project/app.js');
+
+  assert.deepEqual(map.originalPositionFor(1, 16), { source: 'a.js', line: 1, column: 16 });
+  assert.deepEqual(map.originalPositionFor(1, 17), { source: 'a.js', line: 1, column: 17 });
+  assert.equal(map.originalPositionFor(1, 15), null);
+});
+
+test('switches sources and skips segments without one', () => {
+  // "ECAA" moves to the second source; the one-value segment "E" maps nowhere
+  const map = new SourceMap({ version: 3, sourceRoot: 'src', sources: ['a.js', 'b.js'], mappings: 'AAAA,ECAA,E' }, '/project/app.js');
+
+  assert.deepEqual(map.originalPositionFor(1, 3), { source: 'src/b.js', line: 1, column: 1 });
+  assert.equal(map.originalPositionFor(1, 5), null);
+});
+
+test('applies index map section offsets', () => {
+  const map = new SourceMap({
+    version: 3,
+    sections: [
+      { offset: { line: 0, column: 0 }, map: { version: 3, sources: ['a.js'], mappings: 'AAAA' } },
+      { offset: { line: 0, column: 10 }, map: { version: 3, sources: ['b.js'], mappings: 'AAAA;AACA' } },
+      { offset: { line: 3, column: 0 }, map: { version: 3, sources: ['c.js'], mappings: 'AAKA' } }
+    ]
+  }, '/project/app.js');
+
+  assert.deepEqual(map.originalPositionFor(1, 5), { source: 'a.js', line: 1, column: 1 });
+  // Columns are only shifted on the section's first line
+  assert.deepEqual(map.originalPositionFor(1, 11), { source: 'b.js', line: 1, column: 1 });
+  assert.deepEqual(map.originalPositionFor(2, 1), { source: 'b.js', line: 2, column: 1 });
+  assert.deepEqual(map.originalPositionFor(4, 1), { source: 'c.js', line: 6, column: 1 });
+});
+
+test('resolves bundler URLs against the project and paths against the map', () => {
+  const map = new SourceMap({ version: 3, sources: [], mappings: '' }, '/project/dist/app.js.map');
+
+  assert.equal(map.resolveSource('webpack://app/./src/index.js?abc', '/project'), '/project/src/index.js');
+  assert.equal(map.resolveSource('../src/index.js', '/project'), '/project/src/index.js');
+});
+
+test('reads an inline base64 source map', async () => {
+  const json = JSON.stringify({ version: 3, sources: ['a.js'], mappings: 'AAAA' });
+  const content = `x();\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(json).toString('base64')}\n`;
+  const map = await loadSourceMap('/project/dist/app.js', content);
+
+  assert.deepEqual(map.originalPositionFor(1, 1), { source: 'a.js', line: 1, column: 1 });
+});